@@ -9,13 +9,14 @@ const fs = BBPromise.promisifyAll(require('fs'));
 const sUtil = require('./lib/util');
 const apiUtil = require('./lib/api-util');
 const mUtil = require('./lib/mobile-util');
+const processing = require('./lib/processing');
+const processingProfiles = require('./lib/processing-profiles');
+const responseCache = require('./lib/response-cache');
 const packageInfo = require('./package.json');
 const yaml = require('js-yaml');
 const addShutdown = require('http-shutdown');
 const path = require('path');
 
-const MAX_STEPS_PER_TICK = 5;
-
 /**
  * Creates an express app and initialises it
  * @param {!Object} options the options to initialise the app with
@@ -78,6 +79,14 @@ function initApp(options) {
     // set up the request templates for the APIs
     apiUtil.setupApiTemplates(app);
 
+    // set up the cache for upstream responses, with the configured backend module if any
+    const cacheConf = app.conf.cache;
+    let cacheBackend;
+    if (cacheConf && cacheConf.backend && cacheConf.backend !== 'memory') {
+        cacheBackend = require(path.resolve(cacheConf.backend))(cacheConf);
+    }
+    app.responseCache = responseCache.createCache(app, cacheBackend);
+
     // set up the spec
     if (!app.conf.spec) {
         app.conf.spec = `${__dirname}/spec.yaml`;
@@ -199,45 +208,27 @@ function loadRoutes(app, dir) {
  */
 function loadPreProcessingScripts(app, dir) {
 
-    /**
-     * Break down array into chunks of the specified size
-     * @param {!Array} arr array
-     * @param {!integer} size chunk size
-     */
-    function _chunk(arr, size) {
-        return arr.reduce((acc, cur, idx) => {
-            const i = Math.floor(idx / size);
-            if (!acc[i]) {
-                acc[i] = [];
-            }
-            acc[i].push(cur);
-            return acc;
-        }, []);
-    }
-
-    /**
-     * Validate the script format
-     * @param {!Array} script processing script
-     * @throws error if script format is invalid
-     */
-    function _validate(script) {
-        if (script.filter((i) => {
-            return typeof i === 'object' && Object.keys(i).length !== 1;
-        }).length) {
-            throw new Error('Invalid processing script format');
-        }
-    }
-
+    const invalid = [];
     app.conf.processing_scripts = {};
     return fs.readdirAsync(dir).map(filename => BBPromise.try(() => {
         const name = filename.split('.')[0];
-        let script = yaml.safeLoad(fs.readFileSync(`${dir}/${filename}`));
-        _validate(script);
-        script = _chunk(script, MAX_STEPS_PER_TICK);
-        app.conf.processing_scripts[name] = script;
+        const script = yaml.safeLoad(fs.readFileSync(`${dir}/${filename}`));
+        const errors = processing.validate(script);
+        if (errors.length) {
+            invalid.push(...errors.map(error => `${filename}: ${error}`));
+            return;
+        }
+        app.conf.processing_scripts[name] = processing.prepareScript(script, name, app);
     })
     .catch(e => app.logger.log('warn/loading', `Error loading processing scripts: ${e}`)))
-    .then(() => BBPromise.resolve(app));
+    .then(() => {
+        // fail early rather than on the first request using a broken script
+        if (invalid.length) {
+            throw new Error(`Invalid processing scripts:\n${invalid.join('\n')}`);
+        }
+        processingProfiles.loadProfiles(app);
+        return app;
+    });
 }
 
 /**
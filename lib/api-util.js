@@ -3,6 +3,7 @@
 const BBPromise = require('bluebird');
 const preq = require('preq');
 const querystring = require('querystring');
+const responseCache = require('./response-cache');
 const sUtil = require('./util');
 const Template = require('swagger-router').Template;
 const HTTPError = sUtil.HTTPError;
@@ -15,14 +16,52 @@ function prettyMwApiReq(request) {
     return `${request.uri}?${querystring.stringify(request.body)}`;
 }
 
+/**
+ * Random page queries must not be answered from the cache.
+ * @param {!Object} query the query parameters
+ * @return {!boolean} true if the query asks for random pages
+ */
+function isRandomQuery(query) {
+    return query.generator === 'random' || query.list === 'random';
+}
+
+/**
+ * Gets the revision a MW API query is made for: the revision the query asks for, or else the
+ * revision requested from the service. Responses to queries made for the latest revision of a
+ * page aren't cached, since they can change at any time.
+ * @param {!Object} query the query parameters
+ * @param {?Object} [req] the request the query is made for
+ * @return {?string} the revision, if any
+ */
+function getQueryRevision(query, req) {
+    const revision = query.revids || query.oldid || (req && req.params && req.params.revision);
+    return revision && `${revision}`;
+}
+
+/**
+ * Builds the response cache key for a MW API query. The query parameters are sorted so that
+ * equivalent queries share a key.
+ * @param {!string} domain the domain the request is issued to
+ * @param {!Object} query the query parameters
+ * @param {!string} revision the revision the query is made for
+ * @return {!string} the cache key
+ */
+function mwApiCacheKey(domain, query, revision) {
+    const params = Object.keys(query).sort().map(key => [ key, query[key] ]);
+    return `mwapi:${domain}:${revision}:${JSON.stringify(params)}`;
+}
+
 /**
  * Calls the MW API with the supplied query as its body
  * @param {!Object} app the application object
  * @param {string} domain the domain to issue the request to
  * @param {?Object} query an object with all the query parameters for the MW API
+ * @param {?Object} [req] the request the query is made for; responses are only cached for
+ * requests of a given revision, and aren't served from the cache if it has a Cache-Control:
+ * no-cache header
  * @return {!Promise} a promise resolving as the response object from the MW API
  */
-function mwApiGet(app, domain, query) {
+function mwApiGet(app, domain, query, req) {
 
     query = Object.assign({
         format: 'json',
@@ -41,7 +80,7 @@ function mwApiGet(app, domain, query) {
         app.logger.log('trace/mwApiGet', { msg: 'outgoing request', to: prettyMwApiReq(request) });
     }
 
-    return preq(request).then((response) => {
+    const fetch = () => preq(request).then((response) => {
         if (response.headers['content-type'].includes('text/html')
             || response.status < 200 || response.status > 399) {
             // there was an error when calling the upstream service, propagate that
@@ -55,6 +94,13 @@ function mwApiGet(app, domain, query) {
         return response;
     });
 
+    const revision = getQueryRevision(query, req);
+    if (!app.responseCache || !revision || isRandomQuery(query)
+        || responseCache.isBypassed(req)) {
+        return fetch();
+    }
+    return app.responseCache.getOrFetch('mwapi', mwApiCacheKey(domain, query, revision), fetch);
+
 }
 
 function _batch(arr, size) {
@@ -71,12 +117,13 @@ function _batch(arr, size) {
  * @param {string} domain the domain to issue the request to
  * @param {?Object} query an object with all the query parameters for the MW API
  * @param {!String[]} titles list of titles to request by batch
+ * @param {?Object} [req] the request the queries are made for, see mwApiGet
  * @param {?Integer} size number of titles to request per batch
  * @return {!Object[]} combined results of the batched queries
  */
-function mwApiGetBatched(app, domain, query, titles, size = MAX_BATCH_SIZE) {
+function mwApiGetBatched(app, domain, query, titles, req, size = MAX_BATCH_SIZE) {
     const reqs = _batch(titles, size).map((res) => {
-        return mwApiGet(app, domain, Object.assign(query, { titles: res.join('|') }));
+        return mwApiGet(app, domain, Object.assign(query, { titles: res.join('|') }), req);
     });
     return BBPromise.all(reqs).then((response) => {
         return response.reduce((result, batch) => result.concat(batch.body.query.pages), []);
@@ -195,6 +242,8 @@ module.exports = {
     getExternalRestApiUri,
     checkResponseStatus,
     test: {
-        _batch
+        _batch,
+        getQueryRevision,
+        mwApiCacheKey
     }
 };
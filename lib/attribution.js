@@ -0,0 +1,243 @@
+/**
+ * Normalised licenses and attribution strings of media files, built from the extmetadata of the
+ * files, so that clients can credit files as their license requires without reimplementing the
+ * attribution rules of each license.
+ */
+
+'use strict';
+
+const _ = require('underscore');
+
+const CC_URL = 'https://creativecommons.org';
+const COMMONS_URL = 'commons.wikimedia.org';
+
+/**
+ * SPDX has no identifier for the public domain, so a license reference is used instead.
+ */
+const PUBLIC_DOMAIN = 'LicenseRef-Public-Domain';
+
+/**
+ * SPDX identifiers of licenses which aren't Creative Commons BY licenses, by lowercase license
+ * code or short name
+ */
+const LICENSE_IDS = {
+    cc0: 'CC0-1.0',
+    'cc0-1.0': 'CC0-1.0',
+    'cc-zero': 'CC0-1.0',
+    gfdl: 'GFDL-1.2-or-later',
+    'gfdl-1.2': 'GFDL-1.2-or-later',
+    'gfdl-1.3': 'GFDL-1.3-or-later'
+};
+
+/**
+ * URLs of licenses which aren't Creative Commons licenses, by SPDX identifier
+ */
+const LICENSE_URLS = {
+    'GFDL-1.2-or-later': 'https://www.gnu.org/licenses/old-licenses/fdl-1.2.html',
+    'GFDL-1.3-or-later': 'https://www.gnu.org/licenses/fdl-1.3.html'
+};
+
+/**
+ * Creative Commons BY licenses, with their optional port (e.g. CC-BY-SA-3.0-DE)
+ */
+const CC_BY_REGEX = /^CC-(BY(?:-NC)?(?:-SA|-ND)?)-(\d\.\d)(?:-([A-Z]{2,3}))?$/;
+
+/**
+ * Attribution templates by language, for files with and without a known author. The title, the
+ * author, the license and the source of the file replace $title, $artist, $license and $source.
+ */
+const TEMPLATES = {
+    en: {
+        artist: '$title by $artist, $license, via $source',
+        noArtist: '$title, $license, via $source'
+    },
+    de: {
+        artist: '$title von $artist, $license, über $source',
+        noArtist: '$title, $license, über $source'
+    },
+    es: {
+        artist: '$title por $artist, $license, vía $source',
+        noArtist: '$title, $license, vía $source'
+    },
+    fr: {
+        artist: '$title par $artist, $license, via $source',
+        noArtist: '$title, $license, via $source'
+    },
+    it: {
+        artist: '$title di $artist, $license, tramite $source',
+        noArtist: '$title, $license, tramite $source'
+    },
+    nl: {
+        artist: '$title door $artist, $license, via $source',
+        noArtist: '$title, $license, via $source'
+    },
+    pt: {
+        artist: '$title por $artist, $license, via $source',
+        noArtist: '$title, $license, via $source'
+    },
+    ru: {
+        artist: '$title, автор: $artist, $license, через $source',
+        noArtist: '$title, $license, через $source'
+    }
+};
+
+const DEFAULT_LANG = 'en';
+
+/**
+ * Gets the SPDX identifier of a license from its code or short name, e.g. cc-by-sa-4.0 or
+ * CC BY-SA 4.0 for CC-BY-SA-4.0.
+ * @param {?string} name the license code or short name
+ * @return {?string} the SPDX identifier, if the license is known
+ */
+function getSpdxId(name) {
+    if (!name) {
+        return undefined;
+    }
+    const key = name.trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (/^(pd|public-domain)(-|$)/.test(key)) {
+        return PUBLIC_DOMAIN;
+    }
+    const id = LICENSE_IDS[key] || key.toUpperCase();
+    return CC_BY_REGEX.test(id) || LICENSE_URLS[id] || id === 'CC0-1.0' ? id : undefined;
+}
+
+/**
+ * @param {?string} id the SPDX identifier of a license
+ * @return {?string} the URL of the license, if known
+ */
+function getLicenseUrl(id) {
+    const cc = CC_BY_REGEX.exec(id);
+    if (cc) {
+        const port = cc[3] ? `${cc[3].toLowerCase()}/` : '';
+        return `${CC_URL}/licenses/${cc[1].toLowerCase()}/${cc[2]}/${port}`;
+    }
+    if (id === 'CC0-1.0') {
+        return `${CC_URL}/publicdomain/zero/1.0/`;
+    }
+    return LICENSE_URLS[id];
+}
+
+/**
+ * @param {?string} id the SPDX identifier of a license
+ * @return {?boolean} true if the license requires crediting the author, if the license is known
+ */
+function isAttributionRequired(id) {
+    if (!id) {
+        return undefined;
+    }
+    return id !== PUBLIC_DOMAIN && id !== 'CC0-1.0';
+}
+
+/**
+ * @param {?string} id the SPDX identifier of a license
+ * @return {?boolean} true if the license requires adaptations to be shared under the same
+ * license, if the license is known
+ */
+function isShareAlike(id) {
+    if (!id) {
+        return undefined;
+    }
+    return /^CC-BY(-NC)?-SA-/.test(id) || /^GFDL-/.test(id);
+}
+
+/**
+ * Normalises the license of a file.
+ * @param {!Object} license the license type (short name), code and URL from extmetadata
+ * @param {?Object} attributionRequired the structured AttributionRequired extmetadata value,
+ * which takes precedence over the requirements of the license when present
+ * @return {!Object} the license, with its SPDX identifier, whether attribution is required,
+ * whether it is a share-alike license, and the license URL where known
+ */
+function buildLicense(license, attributionRequired) {
+    const spdx = getSpdxId(license.code) || getSpdxId(license.type);
+    return Object.assign({}, license, {
+        spdx,
+        attribution_required: attributionRequired
+            ? attributionRequired.text === 'true' : isAttributionRequired(spdx),
+        share_alike: isShareAlike(spdx),
+        url: license.url || getLicenseUrl(spdx)
+    });
+}
+
+/**
+ * @param {?string} filePage the URL of the file page
+ * @return {?string} the name of the wiki hosting the file
+ */
+function getSourceName(filePage) {
+    const host = filePage && /^(?:https?:)?\/\/([^/]+)/.exec(filePage);
+    if (!host) {
+        return undefined;
+    }
+    return host[1] === COMMONS_URL ? 'Wikimedia Commons' : host[1];
+}
+
+/**
+ * @param {?string} lang a language code
+ * @return {!string} the language of the attribution template to use for it
+ */
+function getTemplateLang(lang) {
+    const base = lang && lang.split('-')[0];
+    if (TEMPLATES[lang]) {
+        return lang;
+    }
+    return TEMPLATES[base] ? base : DEFAULT_LANG;
+}
+
+/**
+ * @param {!string} template an attribution template
+ * @param {!Object} values the replacements of the placeholders of the template
+ * @return {!string} the attribution
+ */
+function fillTemplate(template, values) {
+    return template.replace(/\$(title|artist|license|source)/g, (match, name) => values[name]);
+}
+
+/**
+ * Builds the attribution of a file, crediting its title, author, source and license as
+ * Creative Commons licenses require. Attributions are also built for files which don't require
+ * any, as a courtesy.
+ * @param {!Object} file the file name (without namespace), the file page URL and the structured
+ * artist of the file
+ * @param {!Object} license the normalised license of the file, from buildLicense
+ * @param {?string} lang the preferred language of the attribution
+ * @return {?Object} the attribution HTML and plain text, and its language, unless the license
+ * is unknown
+ */
+function buildAttribution(file, license, lang) {
+    const licenseName = license.type || license.spdx;
+    const source = getSourceName(file.file_page);
+    if (!licenseName || !source) {
+        return undefined;
+    }
+    const templateLang = getTemplateLang(lang);
+    const artist = file.artist && file.artist.text && file.artist;
+    const template = TEMPLATES[templateLang][artist ? 'artist' : 'noArtist'];
+    const licenseHtml = license.url
+        ? `<a href="${_.escape(license.url)}" rel="license">${_.escape(licenseName)}</a>`
+        : _.escape(licenseName);
+    return {
+        html: fillTemplate(template, {
+            title: `<a href="${_.escape(file.file_page)}">${_.escape(file.title)}</a>`,
+            artist: artist && artist.html,
+            license: licenseHtml,
+            source: _.escape(source)
+        }),
+        text: fillTemplate(template, {
+            title: file.title,
+            artist: artist && artist.text.replace(/\s+/g, ' '),
+            license: license.url ? `${licenseName} (${license.url})` : licenseName,
+            source: `${source} (${file.file_page})`
+        }),
+        lang: templateLang
+    };
+}
+
+module.exports = {
+    buildLicense,
+    buildAttribution,
+    testing: {
+        getSpdxId,
+        getLicenseUrl,
+        getTemplateLang
+    }
+};
@@ -0,0 +1,93 @@
+/**
+ * Conditional request (If-None-Match) handling for page content endpoints, whose ETags consist of
+ * the revision and tid of the Parsoid content they are built from.
+ */
+
+'use strict';
+
+const BBPromise = require('bluebird');
+const mUtil = require('./mobile-util');
+const parsoid = require('./parsoid-access');
+
+/**
+ * Parses an If-None-Match header value. Weak ETag prefixes (W/) and enclosing quotes are
+ * stripped, since If-None-Match uses the weak comparison function.
+ * @param {?string} header the If-None-Match header value
+ * @return {!string[]} the ETag values listed in the header
+ */
+function parseIfNoneMatch(header) {
+    if (!header) {
+        return [];
+    }
+    return header.split(',')
+    .map(etag => parsoid.getEtagFromHeaders({ etag: etag.trim() }))
+    .filter(etag => etag);
+}
+
+/**
+ * Gets the revision and tid of the requested page content: those given in the request if both
+ * are, or else those reported by Parsoid for the latest content.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @return {!Promise} a promise resolving to an object with revision and tid properties
+ */
+function resolveRevAndTid(app, req) {
+    if (req.params.revision && req.params.tid) {
+        return BBPromise.resolve({ revision: req.params.revision, tid: req.params.tid });
+    }
+    return parsoid.getParsoidHtml(app, req)
+    .then(rsp => parsoid.getRevAndTidFromEtag(rsp.headers));
+}
+
+/**
+ * Checks whether an ETag made of the given revision and tid matches any of the values given in
+ * an If-None-Match header.
+ * @param {!string[]} etags the values from the If-None-Match header
+ * @param {!Object} revTid object with revision and tid properties
+ * @param {?string} suffix the variant of the content included in the ETag, if any
+ * @return {!boolean} true if the ETag matches
+ */
+function matches(etags, revTid, suffix) {
+    if (!revTid.revision || !revTid.tid) {
+        return false;
+    }
+    const etag = `${revTid.revision}/${revTid.tid}`;
+    return etags.includes('*') || etags.includes(suffix ? `${etag}/${suffix}` : etag);
+}
+
+/**
+ * Middleware responding with 304 Not Modified if the If-None-Match header of the request lists
+ * the ETag of the requested revision and render, before any content is processed. Other requests
+ * are passed on to the next handler. The variant of the content selected by the request, if any
+ * (e.g., the processing profile), is part of the ETag: middlewares selecting variants set it as
+ * req.etagSuffix.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @param {!Function} next the next handler
+ * @return {?Promise} a promise resolving once the request has been handled or passed on
+ */
+function ifNoneMatch(req, res, next) {
+    const etags = parseIfNoneMatch(req.headers['if-none-match']);
+    if (!etags.length) {
+        next();
+        return;
+    }
+    return resolveRevAndTid(req.app, req)
+    .then((revTid) => {
+        if (!matches(etags, revTid, req.etagSuffix)) {
+            next();
+            return;
+        }
+        res.status(304);
+        mUtil.setETag(res, revTid.revision, revTid.tid, req.etagSuffix);
+        res.end();
+    });
+}
+
+module.exports = {
+    ifNoneMatch,
+    testing: {
+        parseIfNoneMatch,
+        matches
+    }
+};
@@ -44,18 +44,27 @@ function respond(res, css) {
     res.end(css);
 }
 
+function getBaseCss() {
+    return load(BASE_MODULES).then(remoteCssResponse => remoteCssResponse.body + hotFixCssString);
+}
+
+function getMobileSiteCss(app, req) {
+    return mwapi.getSiteInfo(app, req)
+    .then(si => load(SITE_MODULES, req.params.domain, si.general.lang))
+    .then(css => css.body);
+}
+
 function fetchBaseCss(res) {
-    return load(BASE_MODULES).then(remoteCssResponse =>
-        respond(res, remoteCssResponse.body + hotFixCssString));
+    return getBaseCss().then(css => respond(res, css));
 }
 
 function fetchMobileSiteCss(app, req, res) {
-    return mwapi.getSiteInfo(app, req)
-    .then(si => load(SITE_MODULES, req.params.domain, si.general.lang)
-    .then(css => respond(res, css.body)));
+    return getMobileSiteCss(app, req).then(css => respond(res, css));
 }
 
 module.exports = {
+    getBaseCss,
+    getMobileSiteCss,
     fetchBaseCss,
     fetchMobileSiteCss,
     respond,
@@ -0,0 +1,92 @@
+'use strict';
+
+const mUtil = require('./mobile-util');
+const pageSections = require('./sections/pageSections');
+
+/**
+ * Containers whose list items are not candidates (navigation boxes, message boxes, tables).
+ */
+const EXCLUDED_CONTAINERS = 'table,.navbox,.metadata,.noprint,.hatnote';
+
+/**
+ * Gets the one-line text of a list item, without its nested lists and references.
+ * @param {!Element} li a list item
+ * @return {!string} the text of the list item
+ */
+function getItemText(li) {
+    const clone = li.cloneNode(true);
+    Array.from(clone.querySelectorAll('ul,ol,dl,sup.mw-ref')).forEach((elem) => {
+        elem.parentNode.removeChild(elem);
+    });
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Gets the first link to an existing page of a list item, outside its nested lists.
+ * @param {!Element} li a list item
+ * @return {?Element} the link, if any
+ */
+function getItemLink(li) {
+    return Array.from(li.querySelectorAll('a[rel="mw:WikiLink"]:not(.new)'))
+    .find(a => a.closest('li') === li);
+}
+
+/**
+ * Builds a disambiguation candidate from a list item.
+ * @param {!Element} li a list item
+ * @param {!string} domain the request domain
+ * @return {?Object} the candidate title, the text of the list item and the summary URL of the
+ * title, if the list item links to a page
+ */
+function buildCandidate(li, domain) {
+    const link = getItemLink(li);
+    if (!link) {
+        return;
+    }
+    const title = decodeURIComponent(mUtil.extractDbTitleFromAnchor(link)).replace(/_/g, ' ');
+    const dbTitle = title.replace(/ /g, '_');
+    return {
+        title,
+        text: getItemText(li),
+        summary_url: `https://${domain}/api/rest_v1/page/summary/${encodeURIComponent(dbTitle)}`
+    };
+}
+
+/**
+ * Extracts the candidate pages listed on a disambiguation page, grouped by the section they are
+ * listed in. The group of the lead section has no heading.
+ * @param {!Document} doc the Parsoid document of the disambiguation page
+ * @param {!string} domain the request domain
+ * @return {!Array} the groups, each with the heading text and anchor of its section and the
+ * candidates listed in it
+ */
+function extractCandidates(doc, domain) {
+    const groups = new Map();
+    Array.from(doc.querySelectorAll('li'))
+    .filter(li => !li.parentNode.closest(EXCLUDED_CONTAINERS))
+    .forEach((li) => {
+        const candidate = buildCandidate(li, domain);
+        if (!candidate) {
+            return;
+        }
+        const section = li.closest('section');
+        if (!groups.has(section)) {
+            const heading = section && pageSections.getHeading(section);
+            groups.set(section, {
+                heading: heading ? heading.textContent.trim() : undefined,
+                anchor: heading ? heading.getAttribute('id') : undefined,
+                links: []
+            });
+        }
+        groups.get(section).links.push(candidate);
+    });
+    return Array.from(groups.values());
+}
+
+module.exports = {
+    extractCandidates,
+    testing: {
+        getItemText,
+        getItemLink
+    }
+};
@@ -0,0 +1,201 @@
+/**
+ * Aggregated feed content: the featured article, most-read articles, news, picture of the day and
+ * on-this-day selections for a given date, assembled in a single response.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const BBPromise = require('bluebird');
+
+const dateUtil = require('../dateUtil');
+const mUtil = require('../mobile-util');
+const mwapi = require('../mwapi');
+const featured = require('./featured');
+const featuredImage = require('./featured-image');
+const hydrate = require('./hydrate').hydrate;
+const mostRead = require('./most-read');
+const news = require('./news');
+const onThisDay = require('./on-this-day');
+const onThisDayLanguages = require('./on-this-day.languages').languages;
+
+/**
+ * @readonly
+ * @enum {!string}
+ */
+const SectionStatus = {
+    OK: 'ok',
+    OMITTED: 'omitted',
+    ERROR: 'error'
+};
+
+/**
+ * Gets the editor-curated on-this-day selections for the requested month and day.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @return {!Promise} a promise resolving to an object containing the payload and meta data
+ */
+function onThisDaySelected(app, req) {
+    const lang = req.params.domain.split('.')[0];
+    if (!onThisDayLanguages[lang]) {
+        return BBPromise.resolve({});
+    }
+    return onThisDay.fetchDocAndRevision(app, req, onThisDay.selectedTitleForRequest)
+    .then((docAndRevision) => {
+        const doc = docAndRevision[0];
+        const revision = docAndRevision[1];
+        const selected = onThisDay.selectionsInDoc(doc, lang).selected;
+        onThisDay.createMergeNodes(app.restbase_tpl, selected, req.params.domain);
+        return {
+            payload: selected,
+            meta: { revision }
+        };
+    });
+}
+
+/**
+ * The feed sections, keyed by the name under which they appear in the response. Each one
+ * resolves to an object with optional payload and meta properties.
+ */
+const SECTIONS = {
+    tfa: (app, req) => featured.promise(app, req),
+    mostread: (app, req) => mostRead.promise(app, req),
+    image: (app, req) => mwapi.getSiteInfo(app, req)
+        .then(siteinfo => featuredImage.promise(app, req, siteinfo)),
+    news: (app, req) => news.promise(app, req),
+    onthisday: onThisDaySelected
+};
+
+/**
+ * Creates a copy of the request for a single section, so that the sections can safely be
+ * requested in parallel. The feed modules are put in aggregated mode, in which unavailable
+ * content results in an empty response rather than an error.
+ * @param {!Object} req the request object
+ * @return {!Object} the section request object
+ */
+function sectionRequest(req) {
+    const sectionReq = Object.create(req);
+    sectionReq.params = Object.assign({}, req.params);
+    sectionReq.query = Object.assign({}, req.query, { aggregated: true });
+    return sectionReq;
+}
+
+/**
+ * Gets the ETag value reported by a feed module.
+ * @param {?Object} meta meta data returned by a feed module
+ * @return {?string} the ETag value, if any
+ */
+function etagFromMeta(meta) {
+    if (!meta) {
+        return undefined;
+    }
+    if (meta.etag) {
+        return `${meta.etag}`;
+    }
+    if (meta.revision !== undefined) {
+        return meta.tid ? `${meta.revision}/${meta.tid}` : `${meta.revision}`;
+    }
+}
+
+/**
+ * Combines the ETag values of the individual sections into a single value.
+ * @param {!Object} sections map of section names to section results
+ * @return {!string} SHA-1 hex digest representing all sections
+ */
+function combineEtags(sections) {
+    const shasum = crypto.createHash('sha1');
+    Object.keys(sections).forEach((name) => {
+        shasum.update(`${name}:${sections[name].etag || ''}|`);
+    });
+    return shasum.digest('hex');
+}
+
+/**
+ * Requests and hydrates a single feed section. Errors do not propagate, but are reported in the
+ * section result.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string} name the section name
+ * @return {!Promise} a promise resolving to an object with status and, depending on the status,
+ * payload and etag or error properties
+ */
+function requestSection(app, req, name) {
+    return BBPromise.try(() => SECTIONS[name](app, sectionRequest(req)))
+    .then((response) => {
+        if (!response || mUtil.isEmpty(response.payload)) {
+            return { status: SectionStatus.OMITTED };
+        }
+        return hydrate(app, req, response.payload)
+        .then((payload) => {
+            if (mUtil.isEmpty(payload)) {
+                return { status: SectionStatus.OMITTED };
+            }
+            return {
+                status: SectionStatus.OK,
+                payload,
+                etag: etagFromMeta(response.meta)
+            };
+        });
+    })
+    .catch((err) => {
+        req.logger.log('warn/aggregated', { msg: `Could not get feed section ${name}`, err });
+        return {
+            status: SectionStatus.ERROR,
+            error: {
+                status: err.status || 500,
+                type: err.type || 'internal_error',
+                title: err.title || err.message
+            }
+        };
+    });
+}
+
+/**
+ * Builds the aggregated feed response body from the section results.
+ * @param {!Object} sections map of section names to section results
+ * @return {!Object} the response body
+ */
+function buildResponse(sections) {
+    const result = {};
+    const status = {};
+    Object.keys(sections).forEach((name) => {
+        const section = sections[name];
+        if (section.status === SectionStatus.OK) {
+            result[name] = section.payload;
+        }
+        status[name] = { status: section.status, error: section.error };
+    });
+    result.sections = status;
+    return result;
+}
+
+function promise(app, req) {
+    if (!dateUtil.validate(dateUtil.hyphenDelimitedDateString(req))) {
+        dateUtil.throwDateError();
+    }
+
+    const sections = {};
+    Object.keys(SECTIONS).forEach((name) => {
+        sections[name] = requestSection(app, req, name);
+    });
+    return BBPromise.props(sections).then((sections) => {
+        return {
+            payload: buildResponse(sections),
+            meta: {
+                revision: dateUtil.dateStringFrom(req),
+                tid: combineEtags(sections)
+            }
+        };
+    });
+}
+
+module.exports = {
+    promise,
+    SectionStatus,
+    testing: {
+        sectionRequest,
+        etagFromMeta,
+        combineEtags,
+        buildResponse
+    }
+};
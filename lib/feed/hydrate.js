@@ -0,0 +1,179 @@
+/**
+ * Resolves the $merge summary placeholders emitted by the feed modules, so that a feed payload
+ * can be served without relying on RESTBase to hydrate it.
+ *
+ * By default the summaries are fetched from the URLs given in the placeholders. If the
+ * hydrate_summaries config option is set, the summaries are instead built in-process, and the
+ * feed endpoints hydrate their responses themselves.
+ */
+
+'use strict';
+
+const BBPromise = require('bluebird');
+const preq = require('preq');
+const mUtil = require('../mobile-util');
+const summary = require('../summary');
+
+const MAX_CONCURRENT_REQUESTS = 10;
+const SUMMARY_URL_TITLE_REGEX = /\/page\/summary\/([^/?#]+)$/;
+
+/**
+ * Collects every object in a payload that carries a $merge placeholder.
+ * @param {*} obj the payload (or part of it) to examine
+ * @param {?Array} [nodes=[]] accumulator for the nodes found
+ * @return {!Array} the objects holding $merge placeholders, in document order
+ */
+function collectMergeNodes(obj, nodes = []) {
+    if (Array.isArray(obj)) {
+        obj.forEach(item => collectMergeNodes(item, nodes));
+    } else if (obj && typeof obj === 'object') {
+        if (Array.isArray(obj.$merge)) {
+            nodes.push(obj);
+        }
+        Object.keys(obj).filter(key => key !== '$merge')
+        .forEach(key => collectMergeNodes(obj[key], nodes));
+    }
+    return nodes;
+}
+
+/**
+ * Replaces the $merge placeholder of a node with the properties of the summaries it refers to.
+ * Nodes for which no summary could be obtained keep their placeholder.
+ * @param {!Object} node an object holding a $merge placeholder
+ * @param {!Object} summaries map of summary URLs to summary objects
+ */
+function mergeNode(node, summaries) {
+    const resolved = node.$merge.map(url => summaries[url]).filter(summary => summary);
+    if (resolved.length) {
+        delete node.$merge;
+        Object.assign(node, ...resolved);
+    }
+}
+
+/**
+ * Removes nodes whose $merge placeholders could not be resolved.
+ * @param {*} obj the payload (or part of it) to prune
+ * @return {*} the pruned payload, or undefined if the payload itself could not be resolved
+ */
+function pruneUnresolved(obj) {
+    if (Array.isArray(obj)) {
+        return obj.map(pruneUnresolved).filter(item => item !== undefined);
+    }
+    if (obj && typeof obj === 'object') {
+        if ({}.hasOwnProperty.call(obj, '$merge')) {
+            return undefined;
+        }
+        Object.keys(obj).forEach((key) => {
+            obj[key] = pruneUnresolved(obj[key]);
+        });
+    }
+    return obj;
+}
+
+/**
+ * Fetches a single page summary from the URL given in a $merge placeholder.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string} url the summary URL
+ * @return {!Promise} a promise resolving to the summary, or undefined if it is not available
+ */
+function fetchSummary(app, req, url) {
+    return preq.get({
+        uri: url,
+        headers: {
+            'user-agent': app.conf.user_agent,
+            'accept-language': req.headers && req.headers['accept-language']
+        }
+    })
+    .then(rsp => rsp.body)
+    .catch((err) => {
+        req.logger.log('warn/hydrate', { msg: `Could not fetch summary ${url}`, err });
+    });
+}
+
+/**
+ * Gets the page title from a summary URL as created by mUtil.getRbPageSummaryUrl.
+ * @param {!string} url the summary URL
+ * @return {?string} the page title, if the URL is a summary URL
+ */
+function titleFromSummaryUrl(url) {
+    const match = SUMMARY_URL_TITLE_REGEX.exec(url);
+    return match ? decodeURIComponent(match[1]) : undefined;
+}
+
+/**
+ * Builds the summaries referred to by a set of summary URLs in-process.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string[]} urls the summary URLs
+ * @return {!Promise} a promise resolving to an array of summaries in the order of the URLs, with
+ * undefined for those which could not be built
+ */
+function buildSummaries(app, req, urls) {
+    const titles = urls.map(titleFromSummaryUrl);
+    return summary.requestSummaries(app, req, titles.filter(title => title))
+    .then((summaries) => {
+        return titles.map((title) => {
+            const result = title && summaries[title];
+            return result && !result.error ? result : undefined;
+        });
+    });
+}
+
+/**
+ * Resolves all $merge placeholders found in a feed payload. Entries whose summary cannot be
+ * obtained are dropped from the payload.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {*} payload the feed payload to hydrate; modified in place
+ * @return {!Promise} a promise resolving to the hydrated payload
+ */
+function hydrate(app, req, payload) {
+    const nodes = collectMergeNodes(payload);
+    const urls = mUtil.deduplicate([].concat(...nodes.map(node => node.$merge)));
+    if (!urls.length) {
+        return BBPromise.resolve(payload);
+    }
+    const summariesPromise = app.conf.hydrate_summaries
+        ? buildSummaries(app, req, urls)
+        : BBPromise.map(urls, url => fetchSummary(app, req, url),
+            { concurrency: MAX_CONCURRENT_REQUESTS });
+    return summariesPromise.then((results) => {
+        const summaries = {};
+        urls.forEach((url, i) => {
+            summaries[url] = results[i];
+        });
+        nodes.forEach(node => mergeNode(node, summaries));
+        return pruneUnresolved(payload);
+    });
+}
+
+/**
+ * Hydrates the payload of a feed module response if in-process hydration is enabled through the
+ * hydrate_summaries config option. Otherwise the placeholders are left for RESTBase to resolve.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!Object} response a feed module response with optional payload and meta properties
+ * @return {!Promise} a promise resolving to the response
+ */
+function hydrateIfEnabled(app, req, response) {
+    if (!app.conf.hydrate_summaries || !response || !response.payload) {
+        return BBPromise.resolve(response);
+    }
+    return hydrate(app, req, response.payload)
+    .then((payload) => {
+        response.payload = payload;
+        return response;
+    });
+}
+
+module.exports = {
+    hydrate,
+    hydrateIfEnabled,
+    testing: {
+        titleFromSummaryUrl,
+        collectMergeNodes,
+        mergeNode,
+        pruneUnresolved
+    }
+};
@@ -2,6 +2,7 @@
 
 const _ = require('underscore');
 const mUtil = require('../mobile-util');
+const hydrate = require('./hydrate');
 const parsoid = require('../parsoid-access');
 const HTTPError = require('../util').HTTPError;
 const languages = require('./on-this-day.languages').languages;
@@ -474,23 +475,28 @@ function createMergeNodes(rbReqTemplate, object, domain) {
 }
 
 /**
- * Ends a response. Creates $merge nodes and sets eTags, status etc.
+ * Ends a response. Creates $merge nodes (hydrating them if configured) and sets eTags, status etc.
  * @param {!Object} app the application object
+ * @param {!Request} req a request
  * @param {!Object} res a response to end
  * @param {!Object} output a payload to JSONify and deliver
  * @param {!string} domain a domain
  * @param {?string} revision a revision
+ * @return {!Promise} a Promise resolving when response has completed
  */
-const endResponseWithOutput = (app, res, output, domain, revision) => {
+const endResponseWithOutput = (app, req, res, output, domain, revision) => {
     // Create $merge nodes just before responding. Otherwise you'd have to leak
     // 'domain' details all the way down to the WMFPage constructor (which
     // destroys promise chain simplicity).
     createMergeNodes(app.restbase_tpl, output, domain);
 
-    res.status(200);
-    mUtil.setETag(res, revision);
-    mUtil.setContentType(res, mUtil.CONTENT_TYPES.onthisday);
-    res.json(output).end();
+    return hydrate.hydrateIfEnabled(app, req, { payload: output })
+    .then((response) => {
+        res.status(200);
+        mUtil.setETag(res, revision);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.onthisday);
+        res.json(response.payload).end();
+    });
 };
 
 /**
@@ -554,7 +560,7 @@ function fetchAndRespond(app, req, res, titleFunction, extractionFunction) {
         const doc = docAndRevision[0];
         const revision = docAndRevision[1];
         const output = extractionFunction(doc, lang);
-        endResponseWithOutput(app, res, output, req.params.domain, revision);
+        return endResponseWithOutput(app, req, res, output, req.params.domain, revision);
     });
 }
 
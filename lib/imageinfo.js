@@ -4,6 +4,7 @@ const _ = require('underscore');
 const domino = require('domino');
 const striptags = require('striptags');
 const api = require('./api-util');
+const attribution = require('./attribution');
 const mwapi = require('./mwapi');
 const dateUtil = require('./dateUtil');
 const HTTPError = require('./util').HTTPError;
@@ -187,11 +188,42 @@ function structureExtMetadataValues(extMetadata, preferredLang) {
     }, {});
 }
 
+/**
+ * Gets the license of a file from its structured extmetadata values.
+ * @param {?Object} ext structured extmetadata values
+ * @return {!Object} the license type, code and URL, where known
+ */
+function getLicense(ext) {
+    // Use original value for each of these since it's well standardized data
+    return {
+        type: ext && ext.LicenseShortName && ext.LicenseShortName.html,
+        code: ext && ext.License && ext.License.html,
+        url: ext && ext.LicenseUrl && ext.LicenseUrl.html
+    };
+}
+
+/**
+ * Gets the description, artist, credit and license of a file from its extmetadata.
+ * @param {?Object} extMetadata extmetadata object from MW API
+ * @param {!string} preferredLang preferred language (most likely the request language)
+ * @return {!Object} the structured file information
+ */
+function getFileInfo(extMetadata, preferredLang) {
+    const ext = extMetadata && structureExtMetadataValues(extMetadata, preferredLang);
+    return {
+        description: ext && ext.ImageDescription,
+        artist: ext && ext.Artist,
+        credit: ext && ext.Credit,
+        license: getLicense(ext)
+    };
+}
+
 /**
  * Make image info result
  * @param {!Object[]} items items to be parsed and formatted
  * @param {!Object} siteinfo Site info
- * @param {!string} preferredLang language code of the preferred language for metadata values
+ * @param {!string} preferredLang language code of the preferred language for metadata values and
+ * attributions
  * @param {?Object} desc Description Value pre-processed (needed for Picture of the day)
  * @return {!Object} Object of items identified by canonical title
  */
@@ -204,6 +236,7 @@ function makeResults(items, siteinfo, preferredLang, desc = null) {
         const isAudio = imageInfo.mediatype === 'AUDIO';
         const isSvg = imageInfo.mime && imageInfo.mime.includes('svg');
         const canonicalTitle = mwapi.getDbTitle(item.title, siteinfo);
+        const license = attribution.buildLicense(getLicense(ext), ext && ext.AttributionRequired);
 
         return {
             titles: {
@@ -228,17 +261,35 @@ function makeResults(items, siteinfo, preferredLang, desc = null) {
             duration: meta && (meta.length || meta.playtime_seconds) || undefined,
             artist: ext && ext.Artist,
             credit: ext && ext.Credit,
-            // Use original value for each of these since it's well standardized data
-            license: {
-                type: ext && ext.LicenseShortName && ext.LicenseShortName.html,
-                code: ext && ext.License && ext.License.html,
-                url: ext && ext.LicenseUrl && ext.LicenseUrl.html
-            },
+            license,
+            attribution: attribution.buildAttribution({
+                title: item.title.slice(item.title.indexOf(':') + 1),
+                file_page: imageInfo.descriptionurl,
+                artist: ext && ext.Artist
+            }, license, preferredLang),
             description: desc && structureExtMetadataValue(desc) || ext && ext.ImageDescription
         };
     }).reduce((res, item) => Object.assign(res, { [item.titles.canonical]: item }), {});
 }
 
+/**
+ * Adds the responsive variants of their thumbnail to image info results.
+ * @param {!Object} results image info results by canonical title, from makeResults
+ * @param {!Object[]} items the items the results were made of
+ * @param {!Object} siteinfo Site info
+ * @return {!Object} the results
+ */
+function addSrcset(results, items, siteinfo) {
+    items.forEach((item) => {
+        const imageInfo = item.imageinfo[0];
+        if (imageInfo.thumburl) {
+            results[mwapi.getDbTitle(item.title, siteinfo)].srcset = mwapi.buildSrcset(
+                imageInfo.thumburl, imageInfo.thumbwidth, imageInfo.url, imageInfo.width);
+        }
+    });
+    return results;
+}
+
 /**
  * Normalize response for Featured Image endpoint
  *   1) title = titles.display && remove title
@@ -285,6 +336,7 @@ function requestPictureOfTheDay(app, req, date, siteinfo) {
         'License',
         'LicenseUrl',
         'Credit',
+        'AttributionRequired',
     ];
 
     const imageInfoProps = [
@@ -307,7 +359,7 @@ function requestPictureOfTheDay(app, req, date, siteinfo) {
         rawcontinue: '',
         titles: `Template:Potd/${isoDate}`
     };
-    return api.mwApiGet(app, COMMONS_URL, query).then((response) => {
+    return api.mwApiGet(app, COMMONS_URL, query, req).then((response) => {
         mwapi.checkForQueryPagesInResponse(req, response);
         page = getPageObject(response);
 
@@ -319,7 +371,7 @@ function requestPictureOfTheDay(app, req, date, siteinfo) {
         return parsoid.getParsoidHtml(app, parsoidReq);
     }).then((response) => {
         const descriptionValue = getPotdDescriptionValue(req, response.body);
-        const preferredLang = req.params.domain[0];
+        const preferredLang = req.params.domain.split('.')[0];
         const potd = _.values(makeResults([page], siteinfo, preferredLang, descriptionValue))[0];
 
         return {
@@ -338,7 +390,7 @@ function requestPictureOfTheDay(app, req, date, siteinfo) {
  * https://www.mediawiki.org/wiki/API:Query#Specifying_pages
  */
 function getMetadataFromApi(app, req, titles, siteinfo) {
-    const preferredLang = req.params.domain[0];
+    const preferredLang = req.params.domain.split('.')[0];
 
     const imageInfoProps = [
         'url',
@@ -361,16 +413,18 @@ function getMetadataFromApi(app, req, titles, siteinfo) {
         'continue': ''
     };
 
-    return api.mwApiGetBatched(app, req.params.domain, query, titles).then((response) => {
-        return makeResults(response, siteinfo, preferredLang);
+    return api.mwApiGetBatched(app, req.params.domain, query, titles, req).then((response) => {
+        return addSrcset(makeResults(response, siteinfo, preferredLang), response, siteinfo);
     });
 }
 
 module.exports = {
+    getFileInfo,
     getMetadataFromApi,
     getStructuredArtistInfo,
     requestPictureOfTheDay,
     testing: {
         structureExtMetadataValue,
+        addSrcset
     }
 };
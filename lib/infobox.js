@@ -0,0 +1,218 @@
+'use strict';
+
+const mUtil = require('./mobile-util');
+
+/**
+ * Infobox tables: the common infobox (also used for biographies), taxoboxes and the infoboxes of
+ * frwiki and itwiki.
+ */
+const INFOBOX_SELECTORS = [
+    'table.infobox',
+    'table.infobox_v2',
+    'table.taxobox',
+    'table.sinottico'
+];
+
+/**
+ * Elements left out of values: references, styles, category links and hidden content.
+ */
+const VALUE_EXCLUDED_SELECTORS = [
+    'sup.mw-ref',
+    'style',
+    'link',
+    '.noprint',
+    '[style*="display:none"]',
+    '[style*="display: none"]'
+];
+
+/**
+ * Parsoid attributes left out of value HTML.
+ */
+const VALUE_EXCLUDED_ATTRIBUTES = [ 'about', 'data-mw', 'data-parsoid', 'id', 'typeof' ];
+
+/**
+ * @param {!Element} table a table
+ * @return {!Element[]} the rows of the table, without those of nested tables
+ */
+function getRows(table) {
+    return Array.from(table.querySelectorAll('tr')).filter(tr => tr.closest('table') === table);
+}
+
+/**
+ * @param {!Element} tr a table row
+ * @return {!Element[]} the header and data cells of the row
+ */
+function getCells(tr) {
+    return Array.from(tr.children).filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD');
+}
+
+/**
+ * Cleans up the content of a cell for the response.
+ * @param {!Element} el the cell, or part of it
+ * @return {!Element} a copy of the element without references, hidden content and Parsoid
+ * attributes
+ */
+function cleanValue(el) {
+    const clone = el.cloneNode(true);
+    Array.from(clone.querySelectorAll(VALUE_EXCLUDED_SELECTORS.join(','))).forEach((node) => {
+        node.parentNode.removeChild(node);
+    });
+    Array.from(clone.querySelectorAll('*')).forEach((node) => {
+        VALUE_EXCLUDED_ATTRIBUTES.forEach(attr => node.removeAttribute(attr));
+    });
+    return clone;
+}
+
+/**
+ * Gets the text of a cleaned value, with line breaks between list items and where the HTML has
+ * line breaks.
+ * @param {!Element} el the cleaned value
+ * @return {!string} the text
+ */
+function getText(el) {
+    const clone = el.cloneNode(true);
+    Array.from(clone.querySelectorAll('br,li,p')).forEach((node) => {
+        const newline = clone.ownerDocument.createTextNode('\n');
+        if (node.tagName === 'BR') {
+            node.parentNode.replaceChild(newline, node);
+        } else {
+            node.appendChild(newline);
+        }
+    });
+    return clone.textContent.split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(line => line.length)
+        .join('\n');
+}
+
+/**
+ * Builds a row of an infobox.
+ * @param {?Element} label the label cell, if any
+ * @param {!Element} value the value cell
+ * @param {!string} domain the request domain
+ * @return {!Object} the label text, the value HTML and text, and the pages the value links to
+ */
+function buildRow(label, value, domain) {
+    const cleaned = cleanValue(value);
+    return {
+        type: 'row',
+        label: label ? getText(cleanValue(label)).replace(/\s*:$/, '') : undefined,
+        value_html: cleaned.innerHTML.trim(),
+        value_text: getText(cleaned),
+        links: Array.from(cleaned.querySelectorAll('a[rel="mw:WikiLink"]:not(.new)'))
+            .map(a => mUtil.buildPageLink(a, domain))
+    };
+}
+
+/**
+ * Builds the main image of an infobox, if a cell consists of an image, optionally followed by
+ * its caption.
+ * @param {!Element} cell a table cell
+ * @return {?Object} the file title, the source, width and height of the thumbnail shown, and the
+ * caption HTML and text
+ */
+function buildImage(cell) {
+    const img = cell.querySelector('img[resource]');
+    if (!img) {
+        return undefined;
+    }
+    const cleaned = cleanValue(cell);
+    Array.from(cleaned.querySelectorAll('figure-inline,span[typeof^="mw:Image"],figure'))
+    .forEach(node => node.parentNode.removeChild(node));
+    const caption = getText(cleaned);
+    if (caption.length > 0 && !cell.querySelector('.infobox-caption')
+            && !cell.classList.contains('infobox-image')) {
+        return undefined;
+    }
+    const src = img.getAttribute('src');
+    return {
+        title: decodeURIComponent(mUtil.removeLinkPrefix(img.getAttribute('resource'))),
+        source: src.startsWith('//') ? `https:${src}` : src,
+        width: parseInt(img.getAttribute('width'), 10) || undefined,
+        height: parseInt(img.getAttribute('height'), 10) || undefined,
+        caption_html: caption.length ? cleaned.innerHTML.trim() : undefined,
+        caption_text: caption.length ? caption : undefined
+    };
+}
+
+/**
+ * Gets the title of an infobox from its caption or the first line of its first row, if that
+ * row is a header.
+ * @param {!Element} table the infobox
+ * @param {!Element[]} rows the rows of the infobox
+ * @return {?string} the title
+ */
+function getTitle(table, rows) {
+    const caption = table.querySelector('caption');
+    if (caption && caption.closest('table') === table) {
+        return getText(cleanValue(caption)).split('\n')[0];
+    }
+    const cells = rows.length ? getCells(rows[0]) : [];
+    if (cells.length === 1 && cells[0].tagName === 'TH') {
+        return getText(cleanValue(cells[0])).split('\n')[0];
+    }
+}
+
+/**
+ * Extracts the title, main image and rows of an infobox. Rows with one header cell are section
+ * headers. Rows with a label and a value cell, either a header and a data cell or two data cells
+ * (as in taxoboxes), are facts. Rows with a single data cell are facts without label, except
+ * for the main image and the caption following it.
+ * @param {!Element} table the infobox
+ * @param {!string} domain the request domain
+ * @return {!Object} the infobox
+ */
+function extractInfobox(table, domain) {
+    const rows = getRows(table);
+    const infobox = { title: getTitle(table, rows), image: undefined, rows: [] };
+    const hasTitleRow = infobox.title && !table.querySelector('caption');
+    let imageRow;
+    rows.slice(hasTitleRow ? 1 : 0).forEach((tr, i) => {
+        const cells = getCells(tr).filter(cell => getText(cell).length || cell.querySelector('img'));
+        if (cells.length === 1 && cells[0].tagName === 'TH') {
+            const header = cleanValue(cells[0]);
+            infobox.rows.push({
+                type: 'header',
+                html: header.innerHTML.trim(),
+                text: getText(header)
+            });
+        } else if (cells.length === 1) {
+            const image = !infobox.image && buildImage(cells[0]);
+            if (image) {
+                infobox.image = image;
+                imageRow = i;
+            } else if (imageRow === i - 1 && !infobox.image.caption_text) {
+                const caption = cleanValue(cells[0]);
+                infobox.image.caption_html = caption.innerHTML.trim();
+                infobox.image.caption_text = getText(caption);
+            } else {
+                infobox.rows.push(buildRow(undefined, cells[0], domain));
+            }
+        } else if (cells.length > 1) {
+            infobox.rows.push(buildRow(cells[0], cells[cells.length - 1], domain));
+        }
+    });
+    return infobox;
+}
+
+/**
+ * Extracts the infoboxes of a page. Infoboxes nested in other infoboxes are part of the rows of
+ * the outer one.
+ * @param {!Document} doc the Parsoid document of the page, before processing
+ * @param {!string} domain the request domain
+ * @return {!Object[]} the infoboxes, each with its title, main image and rows
+ */
+function extractInfoboxes(doc, domain) {
+    const selector = INFOBOX_SELECTORS.join(',');
+    return Array.from(doc.querySelectorAll(selector))
+    .filter(table => !table.parentNode.closest(selector))
+    .map(table => extractInfobox(table, domain));
+}
+
+module.exports = {
+    extractInfoboxes,
+    testing: {
+        buildImage,
+        getText
+    }
+};
@@ -1,7 +1,10 @@
 'use strict';
 
+const BBPromise = require('bluebird');
 const domino = require('domino');
 const _ = require('underscore');
+const mwapi = require('./mwapi');
+const timedtext = require('./timedtext');
 const MediaSelectors = require('./selectors').MediaSelectors;
 const Blacklist = require('./selectors').MediaBlacklist;
 const SpokenWikipediaId = require('./selectors').SpokenWikipediaId;
@@ -9,6 +12,14 @@ const SpokenWikipediaId = require('./selectors').SpokenWikipediaId;
 const MATHOID_IMG_CLASS = require('./selectors').MATHOID_IMG_CLASS;
 const MIN_IMAGE_SIZE = 48;
 
+/**
+ * File extensions of paged documents and 3D models, which Parsoid embeds as images, and of audio
+ * files, which links to files (e.g., pronunciations) mostly are.
+ */
+const PAGED_EXTENSIONS = [ 'pdf', 'djvu', 'djv' ];
+const MODEL_EXTENSIONS = [ 'stl' ];
+const AUDIO_EXTENSIONS = [ 'ogg', 'oga', 'opus', 'mp3', 'wav', 'flac', 'mid', 'midi' ];
+
 /**
  * A MediaWiki media type as represented in Parsoid HTML.
  * @param {!String} resourceSelector the selector for the child element containing the core resource
@@ -28,17 +39,58 @@ const Audio = new MediaType('audio, video', 'audio');
 // const Audio = new MediaType('video', 'audio');
 const Pronunciation = new MediaType(null, Audio.name);
 const MathImage = new MediaType(null, Image.name);
+const PagedDocument = new MediaType('img', 'document');
+const Model3D = new MediaType('img', '3d');
+const FileLink = new MediaType(null, 'file');
 const Unknown = new MediaType(null, 'unknown');
 
 function isMathoidImage(elem) {
     return elem.className.includes(MATHOID_IMG_CLASS);
 }
 
+/**
+ * @param {?string} title a file title
+ * @return {!string} the lowercase extension of the file name
+ */
+function getExtension(title) {
+    const match = /\.([^.]+)$/.exec(title || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * @param {!Element} elem a media link (a[rel=mw:MediaLink])
+ * @return {?string} the title of the linked file
+ */
+function getFileLinkTitle(elem) {
+    const resource = elem.getAttribute('resource');
+    if (resource) {
+        return decodeURIComponent(resource.replace(/^.\//, ''));
+    }
+    return elem.getAttribute('title') && `File:${elem.getAttribute('title')}`;
+}
+
+/**
+ * Gets the media type of an embedded image, which is that of a paged document or a 3D model if
+ * the file is one.
+ * @param {!Element} elem the element with typeof mw:Image
+ * @return {!MediaType} the media type
+ */
+function getImageMediaType(elem) {
+    const img = elem.querySelector(Image.selector);
+    const extension = getExtension(img && img.getAttribute('resource'));
+    if (PAGED_EXTENSIONS.includes(extension)) {
+        return PagedDocument;
+    } else if (MODEL_EXTENSIONS.includes(extension)) {
+        return Model3D;
+    }
+    return Image;
+}
+
 function getMediaType(elem) {
     if (elem.getAttribute('typeof')) {
         switch (elem.getAttribute('typeof').slice(0, 8)) {
             case 'mw:Image':
-                return Image;
+                return getImageMediaType(elem);
             case 'mw:Video':
                 return Video;
             case 'mw:Audio':
@@ -47,7 +99,8 @@ function getMediaType(elem) {
                 return Unknown;
         }
     } else if (elem.getAttribute('rel') === 'mw:MediaLink') {
-        return Pronunciation;
+        return AUDIO_EXTENSIONS.includes(getExtension(getFileLinkTitle(elem))) ? Pronunciation
+            : FileLink;
     } else if (isMathoidImage(elem)) {
         return MathImage;
     }
@@ -73,20 +126,85 @@ function isTooSmall(img) {
 }
 
 /**
- * Get file page titles from a NodeList of media elements from Parsoid HTML
- * @param {!string} html raw Parsoid HTML
- * @return {!Array} array containing the information on the media items on the page, in order of
- *          appearance
+ * Gets the caption an item has in a gallery, which is outside of the media element. It is only
+ * given in the gallery, since an item can be in several galleries, or also outside of them.
+ * @param {!Element} elem a media element
+ * @return {?Object} the caption HTML and text, or null if the item has no caption in the gallery
  */
-function getMediaItemInfoFromPage(html) {
-    const doc = domino.createDocument(html);
+function getGalleryText(elem) {
+    const box = elem.closest('li.gallerybox');
+    const text = box && box.querySelector('.gallerytext');
+    return text ? { html: text.innerHTML, text: text.textContent } : null;
+}
+
+/**
+ * @param {!Element} gallery a gallery element
+ * @return {!string} the mode of the gallery (traditional, nolines, packed, packed-hover,
+ * packed-overlay or slideshow)
+ */
+function getGalleryMode(gallery) {
+    const match = /(?:^|\s)mw-gallery-(\S+)/.exec(gallery.className);
+    return match ? match[1] : 'traditional';
+}
+
+/**
+ * Builds the galleries of a page, with the indices of their media items.
+ * @param {!Document} doc Parsoid document
+ * @param {!Element[]} elems the media elements of the page
+ * @param {!number[]} indices the index of the media item of each element
+ * @return {!Object[]} the id, mode, caption, section id, member indices and member captions of
+ * each gallery with media items
+ */
+function getGalleries(doc, elems, indices) {
+    return Array.from(doc.querySelectorAll('.gallery')).map((gallery) => {
+        const captionElem = Array.from(gallery.children)
+            .find(child => child.classList.contains('gallerycaption'));
+        const section = gallery.closest('section') || undefined;
+        const members = [];
+        const memberCaptions = [];
+        elems.forEach((elem, i) => {
+            if (elem.closest('.gallery') === gallery && !members.includes(indices[i])) {
+                members.push(indices[i]);
+                memberCaptions.push(getGalleryText(elem));
+            }
+        });
+        return {
+            id: gallery.getAttribute('id') || undefined,
+            mode: getGalleryMode(gallery),
+            caption: captionElem && {
+                html: captionElem.innerHTML.trim(),
+                text: captionElem.textContent.trim()
+            },
+            section_id: section && parseInt(section.getAttribute('data-mw-section-id'), 10),
+            members,
+            member_captions: memberCaptions
+        };
+    }).filter(gallery => gallery.members.length);
+}
+
+/**
+ * Gets the media items of a Parsoid document, and the galleries they are part of.
+ * @param {!Document} doc Parsoid document
+ * @return {!Object} the information on the media items on the page, in order of appearance, as
+ *          items, and the galleries of the page, with the indices of their items, as galleries
+ */
+function getMediaFromDoc(doc) {
     const elems = doc.querySelectorAll(MediaSelectors.join()).filter((elem) => {
         if (isMathoidImage(elem)) {
             return true;
         }
         const mediaType = getMediaType(elem);
+        // pronunciation files are left out, as their titles aren't decoded correctly
+        if (mediaType === Pronunciation) {
+            return false;
+        }
+        // links to missing files
+        if (mediaType === FileLink && (!getFileLinkTitle(elem) || elem.classList.contains('new'))) {
+            return false;
+        }
         const resource = mediaType.selector && elem.querySelector(mediaType.selector);
-        return (mediaType !== Image || !isTooSmall(resource)) && !isDisallowed(elem);
+        return (mediaType.selector !== Image.selector || !isTooSmall(resource))
+            && !isDisallowed(elem);
     });
     const results = [].map.call(elems, (elem) => {
         const mediaType = getMediaType(elem);
@@ -107,7 +225,9 @@ function getMediaItemInfoFromPage(html) {
         let thumbTime;
         let audioType;
         let sources;
+        let tracks;
         let original;
+        let page;
         if (mediaType === Video) {
             const dataMw = JSON.parse(elem.getAttribute('data-mw'));
             if (dataMw) {
@@ -130,13 +250,19 @@ function getMediaItemInfoFromPage(html) {
                     height: source.getAttribute('data-file-height') || source.getAttribute('data-height')
                 };
             });
+            tracks = timedtext.getTracks(elem);
         } else if (mediaType === Pronunciation) {
             title = decodeURIComponent(`File:${elem.getAttribute('title')}`);
             audioType = 'pronunciation';
         } else if (mediaType === Audio) {
             audioType = elem.closest(SpokenWikipediaId) ? 'spoken' : 'generic';
+            tracks = timedtext.getTracks(elem);
         } else if (mediaType === MathImage) {
             original = { source: elem.getAttribute('src'), mime: 'image/svg' };
+        } else if (mediaType === PagedDocument) {
+            page = mwapi.getThumbPage(resource.getAttribute('src') || '') || 1;
+        } else if (mediaType === FileLink) {
+            title = getFileLinkTitle(elem);
         }
         const result = {
             title,
@@ -149,7 +275,10 @@ function getMediaItemInfoFromPage(html) {
             audio_type: audioType,
             gallery_id: galleryId,
             sources,
-            showInGallery: mediaType === Image || mediaType === Video
+            tracks,
+            page,
+            // documents and 3D models are shown as their thumbnail, links to files aren't shown
+            showInGallery: [ Image, Video, PagedDocument, Model3D ].includes(mediaType)
         };
         // Only add 'original' if defined, to avoid otherwise changing the order of properties below
         if (original) {
@@ -157,7 +286,42 @@ function getMediaItemInfoFromPage(html) {
         }
         return result;
     });
-    return _.uniq(results, elem => (elem.title || elem.original.source));
+    const key = item => item.title || item.original.source;
+    const items = _.uniq(results, key);
+    const indexByKey = items.reduce((map, item, i) => map.set(key(item), i), new Map());
+    return {
+        items,
+        galleries: getGalleries(doc, elems, results.map(result => indexByKey.get(key(result))))
+    };
+}
+
+/**
+ * Get file page titles from a NodeList of media elements from a Parsoid document
+ * @param {!Document} doc Parsoid document
+ * @return {!Array} array containing the information on the media items on the page, in order of
+ *          appearance
+ */
+function getMediaItemInfoFromDoc(doc) {
+    return getMediaFromDoc(doc).items;
+}
+
+/**
+ * Get file page titles from a NodeList of media elements from Parsoid HTML
+ * @param {!string} html raw Parsoid HTML
+ * @return {!Array} array containing the information on the media items on the page, in order of
+ *          appearance
+ */
+function getMediaItemInfoFromPage(html) {
+    return getMediaItemInfoFromDoc(domino.createDocument(html));
+}
+
+/**
+ * Gets the media items and galleries of a page from Parsoid HTML
+ * @param {!string} html raw Parsoid HTML
+ * @return {!Object} the media items, in order of appearance, and the galleries of the page
+ */
+function getMediaFromPage(html) {
+    return getMediaFromDoc(domino.createDocument(html));
 }
 
 function combineResponses(apiResponse, pageMediaList) {
@@ -165,18 +329,55 @@ function combineResponses(apiResponse, pageMediaList) {
         if (mediaItem.title) {
             Object.assign(mediaItem, apiResponse[mediaItem.title]);
         }
-        delete mediaItem.title;
 
         // delete 'original' property for videos
         if (mediaItem.sources) {
             delete mediaItem.original;
         }
+        if (mediaItem.type === PagedDocument.name && mediaItem.thumbnail) {
+            mediaItem.page_thumbnail_template =
+                mwapi.buildPageThumbUrlTemplate(mediaItem.thumbnail.source);
+        }
+        // the original of a 3D model is the model, not an image
+        if (mediaItem.type === Model3D.name && mediaItem.original) {
+            mediaItem.model = { source: mediaItem.original.source, mime: mediaItem.original.mime };
+            delete mediaItem.original;
+        }
+        // math images are SVGs rendered by Mathoid, without file page or thumbnails
+        if (!mediaItem.title && mediaItem.original) {
+            mediaItem.srcset = [ { src: mediaItem.original.source } ];
+        }
+        delete mediaItem.title;
         return mediaItem;
     });
 }
 
+/**
+ * Gets the media items and galleries of a page from Parsoid HTML, with the metadata of the files
+ * from the MW API. The metadata is requested through the given function rather than imageinfo,
+ * since imageinfo depends on the transforms using this module.
+ * @param {!string} html raw Parsoid HTML
+ * @param {!Function} getMetadata function taking the file titles and returning a promise of
+ * their metadata, like imageinfo.getMetadataFromApi
+ * @return {!Promise} a promise resolving to the media items and the galleries of the page
+ */
+function getMediaList(html, getMetadata) {
+    const pageMedia = getMediaFromPage(html);
+    if (!pageMedia.items.length) {
+        return BBPromise.resolve(pageMedia);
+    }
+    const titles = _.uniq(pageMedia.items.filter(i => i.title).map(i => i.title));
+    return BBPromise.resolve(getMetadata(titles)).then(apiResponse => ({
+        items: combineResponses(apiResponse, pageMedia.items),
+        galleries: pageMedia.galleries
+    }));
+}
+
 module.exports = {
+    getMediaItemInfoFromDoc,
     getMediaItemInfoFromPage,
+    getMediaFromPage,
+    getMediaList,
     combineResponses,
     isTooSmall,
     isDisallowed,
@@ -184,5 +385,8 @@ module.exports = {
         imageName: Image.name,
         videoName: Video.name,
         audioName: Audio.name,
+        documentName: PagedDocument.name,
+        model3DName: Model3D.name,
+        fileName: FileLink.name,
     }
 };
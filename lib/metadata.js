@@ -1,10 +1,28 @@
 'use strict';
 
+const P = require('bluebird');
 const mUtil = require('./mobile-util');
 const mwapi = require('./mwapi');
 const parsoid = require('./parsoid-access');
 const transforms = require('./transforms');
 const preprocessParsoidHtml = require('./processing');
+const readingStats = require('./reading-stats');
+
+const HTTPError = require('./util').HTTPError;
+
+/**
+ * Orders of the language links selectable with the langlinks_order query parameter. By default,
+ * language links are in the order of the MW API (by language code).
+ */
+const LANGLINKS_ORDERS = [ 'accept-language' ];
+
+/**
+ * Language codes whose wikis have a different database name prefix than the language code.
+ */
+const SITE_ID_LANGUAGES = {
+    'be-tarask': 'be_x_old',
+    'be-x-old': 'be_x_old'
+};
 
 /**
  * @param {!Document} doc
@@ -52,14 +70,27 @@ function buildTableOfContents(doc, siteinfo) {
     };
 }
 
+/**
+ * Gets the Wikidata site ID of a wiki of the same project as the request domain.
+ * @param {!string} lang the language code of the wiki
+ * @param {!string} domain the request domain
+ * @return {!string} the site ID, e.g. dewiki or frwikivoyage
+ */
+function getSiteId(lang, domain) {
+    const project = domain.split('.').slice(-2)[0];
+    const prefix = SITE_ID_LANGUAGES[lang] || lang.replace(/-/g, '_');
+    return `${prefix}${project === 'wikipedia' ? 'wiki' : project}`;
+}
+
 /**
  * Augment language links with additional information for the response.
- * @param {?Array} langlinks langlinks from MW API
+ * @param {?Array} langlinks langlinks from MW API, with their autonyms and language names
  * @param {!string} domain request domain
  * @param {!Object} siteinfo siteinfo from MW API
+ * @param {?Object} badges the badges of the Wikidata sitelinks of the page, by site ID
  * @return {?Array} augmented language links
  */
-function augmentLangLinks(langlinks, domain, siteinfo) {
+function augmentLangLinks(langlinks, domain, siteinfo, badges) {
     if (!langlinks) {
         return;
     }
@@ -72,11 +103,92 @@ function augmentLangLinks(langlinks, domain, siteinfo) {
                 canonical: mwapi.getDbTitle(ll.title, siteinfo),
                 normalized: ll.title
             },
+            badges: (badges && badges[getSiteId(ll.lang, domain)]) || [],
             title: undefined
         });
     });
 }
 
+/**
+ * Parses an Accept-Language header.
+ * @param {?string} header the header value, e.g. "de-CH,de;q=0.9,en;q=0.8"
+ * @return {!string[]} the lower-case language codes, in order of preference
+ */
+function parseAcceptLanguage(header) {
+    return (header || '').split(',')
+    .map((part, i) => {
+        const params = part.trim().split(';');
+        const q = params.slice(1).map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(m => m);
+        return { lang: params[0].trim().toLowerCase(), q: q ? parseFloat(q[1]) : 1, i };
+    })
+    .filter(pref => /^[a-z0-9-]+$/.test(pref.lang) && pref.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i)
+    .map(pref => pref.lang);
+}
+
+/**
+ * Orders language links by the preferences of the user, keeping the order of the others.
+ * A language link matches a preferred language if its code is the same, or is the base language
+ * of the preferred one (e.g. de for de-CH).
+ * @param {?Array} langlinks the language links
+ * @param {!string[]} preferences the preferred language codes, in order
+ * @return {?Array} the ordered language links
+ */
+function orderLangLinks(langlinks, preferences) {
+    if (!langlinks) {
+        return;
+    }
+    const rank = (ll) => {
+        const lang = ll.lang.toLowerCase();
+        const i = preferences.findIndex(pref => pref === lang || pref.split('-')[0] === lang);
+        return i < 0 ? preferences.length : i;
+    };
+    return langlinks
+    .map((ll, i) => ({ ll, i, rank: rank(ll) }))
+    .sort((a, b) => a.rank - b.rank || a.i - b.i)
+    .map(entry => entry.ll);
+}
+
+/**
+ * Gets the order of the language links given in the query of a metadata request.
+ * @param {!Object} query the request query
+ * @return {?string} the order, if given
+ * @throws {HTTPError} if the order is unknown
+ */
+function getLangLinksOrder(query) {
+    const order = query.langlinks_order;
+    if (order !== undefined && !LANGLINKS_ORDERS.includes(order)) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Invalid langlinks_order option',
+            detail: `The langlinks_order option must be one of: ${LANGLINKS_ORDERS.join(', ')}.`
+        });
+    }
+    return order;
+}
+
+/**
+ * Middleware reading the language link order of a metadata request. With
+ * langlinks_order=accept-language, the response depends on the Accept-Language header: the
+ * header is added to Vary, its languages are set as req.langPreferences, and they are part of the
+ * ETag (e.g., "123/abc/ll-de-ch.fr"), through req.etagSuffix.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @param {!Function} next the next handler
+ * @throws {HTTPError} if the order is invalid
+ */
+function selectLangLinksOrder(req, res, next) {
+    if (getLangLinksOrder(req.query || {}) === 'accept-language') {
+        res.vary('Accept-Language');
+        req.langPreferences = parseAcceptLanguage(req.headers && req.headers['accept-language']);
+        if (req.langPreferences.length) {
+            req.etagSuffix = `ll-${req.langPreferences.join('.')}`;
+        }
+    }
+    next();
+}
+
 /**
  * Augment categories with additional information for the response.
  * @param {?Array} categories page categories from MW API
@@ -126,38 +238,54 @@ function buildVariantInfo(req, meta, titleObj) {
  * Builds the metadata endpoint response.
  * @param {!Object} req the request object
  * @param {!Object} htmlResponse raw Parsoid page HTML response
- * @param {!Object} meta page metadata from the MW API
+ * @param {!Object} meta page metadata from the MW API, with the badges of the Wikidata sitelinks
+ * of the page
  * @param {!Object} si site info from MW API
  * @param {!Array} processing metadata processing script
+ * @param {!Array} mobileHtmlProcessing mobile-html processing script, for the reading statistics
  * @return {!Object} the metadata response object
  */
-function buildMetadata(req, htmlResponse, meta, si, processing) {
+function buildMetadata(req, htmlResponse, meta, si, processing, mobileHtmlProcessing) {
     const domain = req.params.domain;
     const revTid = parsoid.getRevAndTidFromEtag(htmlResponse.headers);
     const titleObj = mwapi.getTitleObj(req.params.title, si);
     return mUtil.createDocument(htmlResponse.body)
-    .then(doc => preprocessParsoidHtml(doc, processing))
     .then((doc) => {
+        // the reading statistics are built from the unprocessed document and copies of it
+        const stats = readingStats.buildReadingStats(doc, mobileHtmlProcessing, si.general.lang,
+            req.logger);
+        return P.join(preprocessParsoidHtml(doc, processing), stats);
+    })
+    .spread((doc, stats) => {
+        let languageLinks = augmentLangLinks(meta.langlinks, domain, si, meta.badges);
+        if (req.langPreferences) {
+            languageLinks = orderLangLinks(languageLinks, req.langPreferences);
+        }
         return {
             revision: revTid.revision,
             tid: revTid.tid,
-            hatnotes: transforms.extractHatnotesForMetadata(doc),
+            hatnotes: transforms.extractHatnotesForMetadata(doc, domain),
             issues: transforms.extractPageIssuesForMetadata(doc),
             toc: buildTableOfContents(doc, si),
-            language_links: augmentLangLinks(meta.langlinks, domain, si),
+            language_links: languageLinks,
             categories: augmentCategories(meta.categories, domain, si),
             protection: meta.protection,
             description_source: meta.description_source,
-            variants: buildVariantInfo(req, meta, titleObj)
+            variants: buildVariantInfo(req, meta, titleObj),
+            reading_stats: stats
         };
     });
 }
 
 module.exports = {
     buildMetadata,
+    getLangLinksOrder,
+    selectLangLinksOrder,
     testing: {
         buildTocEntries,
         augmentLangLinks,
+        parseAcceptLanguage,
+        orderLangLinks,
         augmentCategories,
         buildVariantInfo
     }
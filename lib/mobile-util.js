@@ -10,11 +10,15 @@ const mUtil = {};
 mUtil.CONTENT_TYPES = {
     html: { name: 'HTML', version: '2.0.0', type: 'text/html' },
     mobileSections: { name: 'mobile-sections', version: '0.14.5', type: 'application/json' },
-    media: { name: 'Media', version: '1.4.1', type: 'application/json' },
-    mobileHtml: { name: 'Mobile-HTML', version: '1.0.0', type: 'text/html' },
+    media: { name: 'Media', version: '1.10.0', type: 'application/json' },
+    mobileHtml: { name: 'Mobile-HTML', version: '1.1.0', type: 'text/html' },
     references: { name: 'References', version: '1.0.1', type: 'application/json' },
-    metadata: { name: 'Metadata', version: '1.2.0', type: 'application/json' },
-    summary: { name: 'Summary', version: '1.4.0', type: 'application/json' },
+    sections: { name: 'Sections', version: '1.0.0', type: 'application/json' },
+    disambiguation: { name: 'Disambiguation', version: '1.0.0', type: 'application/json' },
+    infobox: { name: 'Infobox', version: '1.0.0', type: 'application/json' },
+    timedText: { name: 'TimedText', version: '1.0.0', type: 'text/vtt' },
+    metadata: { name: 'Metadata', version: '1.8.0', type: 'application/json' },
+    summary: { name: 'Summary', version: '1.6.0', type: 'application/json' },
     definition: { name: 'definition', version: '0.8.1', type: 'application/json' },
     random: { name: 'Random', version: '0.6.0', type: 'application/json' },
     announcements: { name: 'Announcements', version: '0.3.0', type: 'application/json' },
@@ -98,8 +102,9 @@ mUtil.filterEmpty = function(val) {
  * @param {!Object} response The HTTPResponse object on which to set the header
  * @param {?number} revision The revision integer ID to use
  * @param {?string} tid      The time UUID to use; optional
+ * @param {?string} suffix   Variant of the content, e.g. a processing profile; optional
  */
-mUtil.setETag = function(response, revision, tid) {
+mUtil.setETag = function(response, revision, tid, suffix) {
     // we want to bail out if the revision hasn't been supplied, except
     // in the case revision === 0 because 0 is actually a valid rev_id
     if (!revision && revision !== 0) {
@@ -108,7 +113,7 @@ mUtil.setETag = function(response, revision, tid) {
     if (!tid) {
         tid = uuid.now().toString();
     }
-    response.set('etag', `"${revision}/${tid}"`);
+    response.set('etag', suffix ? `"${revision}/${tid}/${suffix}"` : `"${revision}/${tid}"`);
 };
 
 /**
@@ -185,6 +190,41 @@ mUtil.extractDbTitleFromAnchor = function(anchor) {
     return anchor && mUtil.removeFragment(mUtil.removeLinkPrefix(anchor.getAttribute('href')));
 };
 
+/**
+ * Decodes a percent-encoded part of a link, leaving malformed encodings (e.g. Foo%E0) as they
+ * are.
+ * @param {!string} value the encoded value
+ * @return {!string} the decoded value, or the value as is if it can't be decoded
+ */
+function decodeLinkPart(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+}
+
+/**
+ * Builds a reference to the page an internal link points to.
+ * @param {!Element} anchor a Parsoid wiki link
+ * @param {!string} domain the request domain
+ * @return {!Object} the titles, section anchor (if linked to a section) and summary URL of the
+ * linked page
+ */
+mUtil.buildPageLink = function(anchor, domain) {
+    const href = mUtil.removeLinkPrefix(anchor.getAttribute('href'));
+    const canonical = decodeLinkPart(mUtil.removeFragment(href));
+    const fragment = href.indexOf('#') > -1 ? href.slice(href.indexOf('#') + 1) : undefined;
+    return {
+        titles: {
+            canonical,
+            normalized: canonical.replace(/_/g, ' ')
+        },
+        anchor: fragment ? decodeLinkPart(fragment) : undefined,
+        summary_url: `https://${domain}/api/rest_v1/page/summary/${encodeURIComponent(canonical)}`
+    };
+};
+
 mUtil.getRbPageSummaryUrl = function(restbaseTpl, domain, title) {
     const request = restbaseTpl.expand({
         request: {
@@ -13,6 +13,7 @@ const Namespace = require('mediawiki-title').Namespace;
 
 const THUMB_URL_PATH_REGEX = /\/thumb\//;
 const THUMB_WIDTH_REGEX = /(\d+)px-[^/]+$/;
+const PAGE_THUMB_REGEX = /page(\d+)-\d+px-([^/]+)$/;
 
 const mwapi = {};
 
@@ -26,6 +27,33 @@ mwapi.LEAD_IMAGE_M = 640;
 mwapi.LEAD_IMAGE_L = 800;
 mwapi.LEAD_IMAGE_XL = 1024;
 
+/**
+ * The widths of the responsive image variants of media items
+ */
+mwapi.MEDIA_SRCSET_WIDTHS = [ 320, 640, 800, 1024, 1280, 1920 ];
+
+/**
+ * Files in formats browsers show as images, whose originals can be part of a srcset
+ */
+const WEB_IMAGE_REGEX = /\.(?:jpe?g|png|gif|svg|webp)$/i;
+
+/**
+ * The domain of the Wikidata API, unless configured with the wikidata_domain option.
+ */
+const WIKIDATA_DOMAIN = 'www.wikidata.org';
+
+/**
+ * Names of the Wikidata sitelink badges, by item ID.
+ */
+const SITELINK_BADGES = {
+    Q17437796: 'featured_article',
+    Q17437798: 'good_article',
+    Q17559452: 'recommended_article',
+    Q17506997: 'featured_list',
+    Q51759403: 'good_list',
+    Q17580674: 'featured_portal'
+};
+
 /**
  * Extends an object of keys for an api query with
  * common api parameters.
@@ -110,7 +138,7 @@ mwapi.getSiteInfo = function(app, req) {
             siprop: 'general|languagevariants|namespaces|namespacealiases|specialpagealiases',
             ammessages: 'toc'
         });
-        siteInfoCache[rp.domain] = api.mwApiGet(app, req.params.domain, query)
+        siteInfoCache[rp.domain] = api.mwApiGet(app, req.params.domain, query, req)
         .then((res) => {
             const general = res.body.query.general;
             const allmessages = res.body.query.allmessages;
@@ -178,7 +206,7 @@ mwapi.getPrimaryEarthCoordinates = (coords) => {
 
 mwapi.queryForMetadata = (app, req, query, responseBuilder) => BBPromise.join(
     mwapi.getSiteInfo(app, req),
-    api.mwApiGet(app, req.params.domain, query),
+    api.mwApiGet(app, req.params.domain, query, req),
     (siteinfo, metadata) => {
         const body = metadata.body;
         const page = body.query && body.query.pages && body.query.pages[0];
@@ -222,6 +250,7 @@ mwapi.getMetadataForMetadata = (app, req) => {
         prop: props.join('|'),
         titles: req.params.title,
         lllimit: 'max',
+        llprop: 'autonym|langname',
         inprop: 'protection|varianttitles',
         clprop: 'hidden',
         cllimit: 50,
@@ -238,50 +267,146 @@ mwapi.getMetadataForMetadata = (app, req) => {
             categories: page.categories,
             variants: siteinfo.variants,
             varianttitles: page.varianttitles,
+            wikibase_item: page.pageprops && page.pageprops.wikibase_item,
         };
     });
 };
 
-mwapi.getMetadataForSummary = (app, req, thumbSize) => {
-    const props = ['coordinates', 'description', 'pageprops', 'pageimages', 'revisions', 'info'];
-
+/**
+ * Gets the badges (e.g. featured or good article) of the sitelinks of a Wikidata item, i.e. of
+ * the pages about its topic on all wikis. Badges are an enhancement, so failures to get them are
+ * logged rather than failing the request.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {?string} item the Wikidata item ID
+ * @return {!Promise <Object>} promise resolving to the names of the badges of each sitelink with
+ * badges, by site ID (e.g. dewiki)
+ */
+mwapi.getSitelinkBadges = (app, req, item) => {
+    if (!item) {
+        return BBPromise.resolve({});
+    }
     const query = apiParams({
+        action: 'wbgetentities',
+        ids: item,
+        props: 'sitelinks'
+    });
+    return api.mwApiGet(app, app.conf.wikidata_domain || WIKIDATA_DOMAIN, query, req)
+    .then((response) => {
+        const entity = response.body.entities && response.body.entities[item];
+        const sitelinks = (entity && entity.sitelinks) || {};
+        const result = {};
+        Object.keys(sitelinks).forEach((site) => {
+            const badges = (sitelinks[site].badges || [])
+                .map(badge => SITELINK_BADGES[badge])
+                .filter(badge => badge);
+            if (badges.length) {
+                result[site] = badges;
+            }
+        });
+        return result;
+    })
+    .catch((err) => {
+        req.logger.log('warn/wikidata', `Unable to get sitelink badges of ${item}: ${err}`);
+        return {};
+    });
+};
+
+/**
+ * Builds the MW API query for the page metadata needed for summaries.
+ * @param {!number} thumbSize the desired thumbnail width
+ * @return {!Object} the query parameters, without any titles
+ */
+function summaryMetadataQuery(thumbSize) {
+    const props = ['coordinates', 'description', 'pageprops', 'pageimages', 'revisions', 'info',
+        'categoryinfo', 'imageinfo'];
+    // the file information shown in summaries of file pages
+    const extMetadata = ['ImageDescription', 'Artist', 'Credit', 'LicenseShortName', 'License',
+        'LicenseUrl'];
+
+    return apiParams({
         action: 'query',
         prop: props.join('|'),
-        titles: req.params.title,
         pilicense: 'any',
         piprop: 'thumbnail|original|name',
         pithumbsize: thumbSize,
         rvprop: 'contentmodel',
         rvslots: 'main',
+        iiprop: 'extmetadata',
+        iiextmetadatafilter: extMetadata.join('|'),
+        iiextmetadatamultilang: true
     });
+}
+
+/**
+ * Extracts the page metadata needed for summaries from a MW API query page object.
+ * @param {!Object} page a page object from the MW API query response
+ * @param {!Object} siteinfo siteinfo from the MW API
+ * @param {?string} normalizedTitle the normalized title, if the MW API reported one
+ * @return {!Object} page metadata for summaries
+ */
+function buildSummaryMetadata(page, siteinfo, normalizedTitle) {
+    const revision = page.revisions && page.revisions[0];
+    const contentmodel = revision && revision.slots && revision.slots.main
+        && revision.slots.main.contentmodel;
+    return {
+        id: page.pageid,
+        title: page.title,
+        displaytitle: (page.pageprops && page.pageprops.displaytitle) || page.title,
+        pageprops: page.pageprops,
+        normalizedtitle: normalizedTitle || page.title,
+        ns: page.ns,
+        nsText: siteinfo.namespaces[page.ns].name,
+        thumbnail: page.thumbnail,
+        originalimage: page.original,
+        dir: page.pagelanguagedir,
+        lang: page.pagelanguagehtmlcode,
+        description: page.description,
+        geo: page.coordinates && mwapi.getPrimaryEarthCoordinates(page.coordinates),
+        mobileHost: siteinfo.general.mobileserver,
+        mainpage: siteinfo.general.mainpage === page.title ? true : undefined,
+        redirect: page.redirect,
+        contentmodel,
+        categoryinfo: page.categoryinfo,
+        extmetadata: page.imageinfo && page.imageinfo[0] && page.imageinfo[0].extmetadata,
+        talkNsText: page.ns % 2 === 0 ? siteinfo.namespaces[page.ns + 1]
+            && new Namespace(page.ns + 1, siteinfo).getNormalizedText() : undefined
+    };
+}
 
+mwapi.getMetadataForSummary = (app, req, thumbSize) => {
+    const query = Object.assign(summaryMetadataQuery(thumbSize), { titles: req.params.title });
     return mwapi.queryForMetadata(app, req, query, (page, siteinfo, normalizedTitle) => {
-        const revision = page.revisions && page.revisions[0];
-        const contentmodel = revision && revision.slots && revision.slots.main
-            && revision.slots.main.contentmodel;
-        return {
-            id: page.pageid,
-            title: page.title,
-            displaytitle: (page.pageprops && page.pageprops.displaytitle) || page.title,
-            pageprops: page.pageprops,
-            normalizedtitle: normalizedTitle || page.title,
-            ns: page.ns,
-            nsText: siteinfo.namespaces[page.ns].name,
-            thumbnail: page.thumbnail,
-            originalimage: page.original,
-            dir: page.pagelanguagedir,
-            lang: page.pagelanguagehtmlcode,
-            description: page.description,
-            geo: page.coordinates && mwapi.getPrimaryEarthCoordinates(page.coordinates),
-            mobileHost: siteinfo.general.mobileserver,
-            mainpage: siteinfo.general.mainpage === page.title ? true : undefined,
-            redirect: page.redirect,
-            contentmodel,
-            talkNsText: page.ns % 2 === 0 ? siteinfo.namespaces[page.ns + 1]
-                && new Namespace(page.ns + 1, siteinfo).getNormalizedText() : undefined
-        };
+        return buildSummaryMetadata(page, siteinfo, normalizedTitle);
+    });
+};
+
+/**
+ * Gets the page metadata needed for summaries for many pages at once. The titles are requested
+ * in batches of the maximum size the MW API allows.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string[]} titles the page titles
+ * @param {!number} thumbSize the desired thumbnail width
+ * @return {!Promise} a promise resolving to an object mapping DB keys of the pages found to their
+ * metadata; missing and invalid pages are left out
+ */
+mwapi.getMetadataForSummaries = (app, req, titles, thumbSize) => {
+    const query = Object.assign(summaryMetadataQuery(thumbSize), {
+        colimit: 'max',
+        pilimit: mwapi.API_QUERY_MAX_TITLES
     });
+    return BBPromise.join(
+        mwapi.getSiteInfo(app, req),
+        api.mwApiGetBatched(app, req.params.domain, query, titles.slice(), req),
+        (siteinfo, pages) => {
+            return pages.filter(page => !page.missing && !page.invalid)
+            .reduce((result, page) => {
+                result[mwapi.getDbTitle(page.title, siteinfo)] =
+                    buildSummaryMetadata(page, siteinfo);
+                return result;
+            }, {});
+        });
 };
 
 /**
@@ -366,7 +491,7 @@ mwapi.getMainPageData = function(app, req) {
         noheadings: true,
         thumbwidth: mwapi.LEAD_IMAGE_XL
     });
-    return api.mwApiGet(app, req.params.domain, query)
+    return api.mwApiGet(app, req.params.domain, query, req)
     .then((response) => {
         mwapi.checkForMobileviewInResponse(req.logger, response);
         return response;
@@ -398,7 +523,7 @@ mwapi.getMostReadMetadata = function(app, req, titlesList) {
         siprop: 'general',
         titles: titlesList
     });
-    return api.mwApiGet(app, req.params.domain, query);
+    return api.mwApiGet(app, req.params.domain, query, req);
 };
 
 /**
@@ -424,6 +549,32 @@ mwapi.scaledThumbUrl = function(initialUrl, desiredWidth, originalWidth) {
     }
 };
 
+/**
+ * Builds a template for the thumbnail URLs of the pages of a paged document (PDF, DjVu), with
+ * {page} and {width} placeholders for the page number and the width.
+ * @param {!string} initialUrl a thumbnail URL for a page of the document, for example:
+ *     https://upload.wikimedia.org/wikipedia/commons/thumb/0/0b/Foo.pdf/page1-320px-Foo.pdf.jpg
+ * @return {?string} the URL template, if the URL is a page thumb URL, for example:
+ *     https://upload.wikimedia.org/wikipedia/commons/thumb/0/0b/Foo.pdf/page{page}-{width}px-Foo.pdf.jpg
+ */
+mwapi.buildPageThumbUrlTemplate = function(initialUrl) {
+    if (!initialUrl.match(THUMB_URL_PATH_REGEX) || !PAGE_THUMB_REGEX.test(initialUrl)) {
+        return;
+    }
+    return initialUrl.replace(PAGE_THUMB_REGEX, 'page{page}-{width}px-$2');
+};
+
+/**
+ * Gets the page of a paged document (PDF, DjVu) shown in a thumbnail.
+ * @param {!string} url a thumbnail URL, for example:
+ *     https://upload.wikimedia.org/wikipedia/commons/thumb/0/0b/Foo.pdf/page3-320px-Foo.pdf.jpg
+ * @return {?number} the page number, if the URL is a page thumb URL
+ */
+mwapi.getThumbPage = function(url) {
+    const match = PAGE_THUMB_REGEX.exec(url);
+    return match ? parseInt(match[1], 10) : undefined;
+};
+
 /**
  * Builds a set of URLs for different thumbnail sizes of an image based on the provided array of
  * widths.
@@ -449,6 +600,30 @@ mwapi.buildLeadImageUrls = function(initialUrl) {
         mwapi.LEAD_IMAGE_L, mwapi.LEAD_IMAGE_XL ]);
 };
 
+/**
+ * Builds the responsive variants of an image: thumbnails at the standard widths of
+ * MEDIA_SRCSET_WIDTHS narrower than the original, so that images are never upscaled, followed by
+ * the original itself if browsers can show it. Vector (SVG) and animated (GIF) images follow the
+ * same rules as others. If the image can't be scaled (e.g., the URL isn't a thumb URL, or the
+ * original is narrower than all widths) and the original can't be shown, the initial URL is the
+ * only variant.
+ * @param {!string} initialUrl an initial thumbnail URL for an image, for example:
+ *     https://upload.wikimedia.org/wikipedia/commons/thumb/0/0b/Foo.jpg/320px-Foo.jpg
+ * @param {?number} initialWidth the width of the initial thumbnail, if known
+ * @param {?string} originalUrl the URL of the original, if known
+ * @param {?number} originalWidth the original width, if known
+ * @return {!Object[]} the source URL and width of each variant, from narrowest to widest
+ */
+mwapi.buildSrcset = function(initialUrl, initialWidth, originalUrl, originalWidth) {
+    const srcset = mwapi.MEDIA_SRCSET_WIDTHS
+    .map(width => ({ src: mwapi.scaledThumbUrl(initialUrl, width, originalWidth), width }))
+    .filter(variant => variant.src);
+    if (originalUrl && originalWidth && WEB_IMAGE_REGEX.test(originalUrl)) {
+        srcset.push({ src: originalUrl, width: originalWidth });
+    }
+    return srcset.length ? srcset : [ { src: initialUrl, width: initialWidth } ];
+};
+
 /**
  * Get a Title object for a MW title string
  * @param {!string} title a MediaWiki page title string
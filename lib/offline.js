@@ -0,0 +1,175 @@
+/**
+ * Offline page bundles: a multipart/mixed archive with everything needed to display a page
+ * without a connection, so that clients can store it atomically.
+ */
+
+'use strict';
+
+const BBPromise = require('bluebird');
+const crypto = require('crypto');
+const css = require('./css');
+const imageinfo = require('./imageinfo');
+const media = require('./media');
+const mUtil = require('./mobile-util');
+const mwapi = require('./mwapi');
+const pageLib = require('./pagelibServer');
+const parsoid = require('./parsoid-access');
+const transforms = require('./transforms');
+
+/**
+ * The file names of the bundle parts.
+ */
+const FILES = {
+    html: 'index.html',
+    baseCss: 'base.css',
+    pagelibCss: 'pagelib.css',
+    siteCss: 'site.css',
+    pagelibJs: 'pagelib.js',
+    media: 'media.json',
+    references: 'references.json'
+};
+
+/**
+ * Links to the shared resources in mobile-html, by the file name replacing them in the bundle.
+ */
+/* eslint-disable max-len */
+const RESOURCE_LINKS = [
+    { selector: 'link[rel=stylesheet]', attr: 'href', path: 'data/css/mobile/base', file: FILES.baseCss },
+    { selector: 'link[rel=stylesheet]', attr: 'href', path: 'data/css/mobile/pagelib', file: FILES.pagelibCss },
+    { selector: 'link[rel=stylesheet]', attr: 'href', path: 'data/css/mobile/site', file: FILES.siteCss },
+    { selector: 'script[src]', attr: 'src', path: 'data/javascript/mobile/pagelib', file: FILES.pagelibJs }
+];
+/* eslint-enable max-len */
+
+/**
+ * Rewrites the links to the shared CSS and JavaScript resources of a mobile-html document to
+ * the relative paths of the corresponding files in the bundle.
+ * @param {!Document} doc mobile-html document; modified in place
+ */
+function rewriteResourceLinks(doc) {
+    RESOURCE_LINKS.forEach((link) => {
+        doc.querySelectorAll(link.selector).forEach((elem) => {
+            if (elem.getAttribute(link.attr).endsWith(link.path)) {
+                elem.setAttribute(link.attr, link.file);
+            }
+        });
+    });
+}
+
+/**
+ * Builds the manifest of the media used on a page.
+ * @param {!Array} items media items, as returned by the media endpoint
+ * @return {!Object} the manifest, with the media items and the list of all their URLs
+ */
+function buildMediaManifest(items) {
+    const urls = [];
+    items.forEach((item) => {
+        [ item.thumbnail, item.original ].concat(item.sources || []).forEach((file) => {
+            const url = file && (file.source || file.url);
+            if (url) {
+                urls.push(url);
+            }
+        });
+    });
+    return { items, urls: mUtil.deduplicate(urls) };
+}
+
+/**
+ * Gets the media items of a page, including the URLs of the files.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!Object} parsoidResponse the Parsoid response the bundle is built from
+ * @return {!Promise} a promise resolving to the media items
+ */
+function getMediaItems(app, req, parsoidResponse) {
+    return mwapi.getSiteInfo(app, req)
+    .then(siteinfo => media.getMediaList(parsoidResponse.body,
+        titles => imageinfo.getMetadataFromApi(app, req, titles, siteinfo)))
+    .then(pageMedia => pageMedia.items);
+}
+
+/**
+ * Gets the structured references of a page, as returned by the references endpoint.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!Object} parsoidResponse the Parsoid response the bundle is built from
+ * @return {!Promise} a promise resolving to the references
+ */
+function getReferences(app, req, parsoidResponse) {
+    return parsoid.referencesDocumentFromResponse(app, parsoidResponse)
+    .then((response) => {
+        delete response.meta._headers;
+        return Object.assign(response.meta,
+            transforms.extractReferenceLists(response.doc, req.logger));
+    });
+}
+
+/**
+ * @param {!string} filename the file name of the part in the bundle
+ * @param {!string} type the MIME type of the part
+ * @param {!string} content the content of the part
+ * @return {!Object} a bundle part
+ */
+function part(filename, type, content) {
+    return { filename, type: `${type}; charset=utf-8`, content };
+}
+
+/**
+ * Serializes the bundle parts as a multipart/mixed body, using a boundary which does not occur
+ * in any of the parts.
+ * @param {!Array} parts objects with filename, type and content properties
+ * @return {!Object} object with the boundary and the body
+ */
+function createMultipart(parts) {
+    const createBoundary = () => {
+        const boundary = crypto.randomBytes(16).toString('hex');
+        return parts.some(item => item.content.includes(boundary)) ? createBoundary() : boundary;
+    };
+    const boundary = createBoundary();
+    const body = parts.map(item => [
+        `--${boundary}`,
+        `Content-Type: ${item.type}`,
+        `Content-Disposition: attachment; filename="${item.filename}"`,
+        '',
+        item.content
+    ].join('\r\n')).concat(`--${boundary}--`, '').join('\r\n');
+    return { boundary, body };
+}
+
+/**
+ * Builds the offline bundle of a page.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!Document} doc the mobile-html document of the page
+ * @param {!Object} parsoidResponse the Parsoid response the document was built from, which the
+ * media and references are built from too, so that all parts are of the same revision
+ * @return {!Promise} a promise resolving to an object with the boundary and body of the bundle
+ */
+function buildBundle(app, req, doc, parsoidResponse) {
+    rewriteResourceLinks(doc);
+    return BBPromise.props({
+        baseCss: css.getBaseCss(),
+        pagelibCss: pageLib.loadCss(),
+        siteCss: css.getMobileSiteCss(app, req),
+        pagelibJs: pageLib.loadJavascript(),
+        media: getMediaItems(app, req, parsoidResponse),
+        references: getReferences(app, req, parsoidResponse)
+    }).then(content => createMultipart([
+        part(FILES.html, 'text/html', doc.outerHTML),
+        part(FILES.baseCss, 'text/css', content.baseCss),
+        part(FILES.pagelibCss, 'text/css', content.pagelibCss),
+        part(FILES.siteCss, 'text/css', content.siteCss),
+        part(FILES.pagelibJs, 'text/javascript', content.pagelibJs),
+        part(FILES.media, 'application/json', JSON.stringify(buildMediaManifest(content.media))),
+        part(FILES.references, 'application/json', JSON.stringify(content.references))
+    ]));
+}
+
+module.exports = {
+    buildBundle,
+    testing: {
+        rewriteResourceLinks,
+        buildMediaManifest,
+        createMultipart
+    }
+};
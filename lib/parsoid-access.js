@@ -10,8 +10,49 @@ const api = require('./api-util');
 const parseProperty = require('./parseProperty');
 const parsoidSections = require('./sections/parsoidSections');
 const preprocessParsoidHtml = require('./processing');
+const responseCache = require('./response-cache');
+const processingProfiles = require('./processing-profiles');
 const transforms = require('./transforms');
 
+/**
+ * Retrieves the etag from the headers if present. Strips the weak etag prefix (W/) and enclosing
+ * quotes.
+ * @param {?Object} headers an object of header name/values
+ * @return {?string} etag
+ */
+function getEtagFromHeaders(headers) {
+    if (headers && headers.etag) {
+        return headers.etag.replace(/^W\//, '').replace(/"/g, '');
+    }
+}
+
+/**
+ * Retrieves the revision from the etag emitted by Parsoid.
+ * @param {?Object} headers an object of header name/values
+ * @return {?string} revision portion of etag, if found
+ */
+function getRevisionFromEtag(headers) {
+    const etag = getEtagFromHeaders(headers);
+    if (etag) {
+        return etag.split('/').shift();
+    }
+}
+
+/**
+ * Retrieves the revision and tid from the etag emitted by Parsoid.
+ * @param {?Object} headers an object of header name/values
+ * @return {!Object} An object containing revision and tid properties set to the values in
+ *  the etag if found, or undefined otherwise
+ */
+function getRevAndTidFromEtag(headers) {
+    const etag = getEtagFromHeaders(headers);
+    const etagComponents = etag && etag.split('/');
+    return {
+        revision: etagComponents && etagComponents[0],
+        tid: etagComponents && etagComponents[1]
+    };
+}
+
 /**
  * Generic function to get page content from the REST API.
  * @param {!Object} app the application object
@@ -35,7 +76,29 @@ function _getRestPageContent(app, req, endpoint, spec) {
         accept: mUtil.getContentTypeString(spec),
         'accept-language': req.headers['accept-language']
     } };
-    return api.restApiGet(app, req, domain, path, restReq);
+    const fetch = () => api.restApiGet(app, req, domain, path, restReq);
+
+    const cache = app.responseCache;
+    // Parsoid diff testing and clients asking for fresh content always go upstream
+    if (!cache || (req.query && req.query.useparsoid) || responseCache.isBypassed(req)) {
+        return fetch();
+    }
+    const cacheKey = (revision, tid) => [ 'parsoid', domain, endpoint, req.params.title,
+        revision, tid, req.headers['accept-language'] || '' ].join(':');
+    if (rev && req.params.tid) {
+        // the content of a given revision and render never changes
+        return cache.getOrFetch('parsoid_revision', cacheKey(rev, req.params.tid), fetch);
+    }
+    return cache.getOrFetch('parsoid', cacheKey(rev || '', ''), () => fetch()
+    .then((rsp) => {
+        // also make the content available to later requests for the revision and render
+        // reported in the ETag
+        const revTid = getRevAndTidFromEtag(rsp.headers);
+        if (revTid.revision && revTid.tid) {
+            cache.set('parsoid_revision', cacheKey(revTid.revision, revTid.tid), rsp);
+        }
+        return rsp;
+    }));
 }
 
 /**
@@ -62,45 +125,6 @@ function getMobileSectionsLead(app, req) {
     return _getRestPageContent(app, req, 'mobile-sections-lead', mUtil.CONTENT_TYPES.mobileSections);
 }
 
-/**
- * Retrieves the etag from the headers if present. Strips the weak etag prefix (W/) and enclosing
- * quotes.
- * @param {?Object} headers an object of header name/values
- * @return {?string} etag
- */
-function getEtagFromHeaders(headers) {
-    if (headers && headers.etag) {
-        return headers.etag.replace(/^W\//, '').replace(/"/g, '');
-    }
-}
-
-/**
- * Retrieves the revision from the etag emitted by Parsoid.
- * @param {?Object} headers an object of header name/values
- * @return {?string} revision portion of etag, if found
- */
-function getRevisionFromEtag(headers) {
-    const etag = getEtagFromHeaders(headers);
-    if (etag) {
-        return etag.split('/').shift();
-    }
-}
-
-/**
- * Retrieves the revision and tid from the etag emitted by Parsoid.
- * @param {?Object} headers an object of header name/values
- * @return {!Object} An object containing revision and tid properties set to the values in
- *  the etag if found, or undefined otherwise
- */
-function getRevAndTidFromEtag(headers) {
-    const etag = getEtagFromHeaders(headers);
-    const etagComponents = etag && etag.split('/');
-    return {
-        revision: etagComponents && etagComponents[0],
-        tid: etagComponents && etagComponents[1]
-    };
-}
-
 /**
  * <meta property="dc:modified" content="2015-10-05T21:35:32.000Z"/>
  * @param {!Document} doc Parsoid DOM document
@@ -150,35 +174,73 @@ function pageJsonPromise(app, req) {
 }
 
 /**
+ * @param {!Object} headers the headers of a Parsoid response
+ * @return {!Object} the revision and tid of the response, with the Content-Language and Vary
+ * headers as _headers
+ */
+function getMetaFromHeaders(headers) {
+    const meta = getRevAndTidFromEtag(headers);
+    meta._headers = {
+        'Content-Language': headers && headers['content-language'],
+        Vary: headers && headers.vary
+    };
+    return meta;
+}
+
+/**
+ * Builds the document of a page from a Parsoid response which was already fetched.
  * @param {!Object} app the application object
  * @param {!Object} req the request object
+ * @param {!Object} response the Parsoid response, as returned by getParsoidHtml
  * @param {?boolean} [optimized] if true will apply additional transformations
  * to reduce the payload
- * @return {!promise} Returns a promise to retrieve the page content from Parsoid
+ * @return {!promise} Returns a promise resolving to the meta data and the document
  */
-function pageDocumentPromise(app, req, optimized) {
-    return getParsoidHtml(app, req)
-        .then((response) => {
-            const meta = getRevAndTidFromEtag(response.headers);
-            meta._headers = {
-                'Content-Language': response.headers && response.headers['content-language'],
-                Vary: response.headers && response.headers.vary
-            };
-            return mUtil.createDocument(response.body)
+function pageDocumentFromResponse(app, req, response, optimized) {
+    const meta = getMetaFromHeaders(response.headers);
+    return mUtil.createDocument(response.body)
+    .then((doc) => {
+        if (optimized) {
+            // Note: these properties must be obtained before stripping markup
+            meta.pronunciation = parseProperty.parsePronunciation(doc);
+            meta.linkTitle = domUtil.getParsoidLinkTitle(doc);
+
+            return preprocessParsoidHtml(doc,
+                processingProfiles.getScript(app, req, 'mobile-html'))
             .then((doc) => {
-                if (optimized) {
-                    // Note: these properties must be obtained before stripping markup
-                    meta.pronunciation = parseProperty.parsePronunciation(doc);
-                    meta.linkTitle = domUtil.getParsoidLinkTitle(doc);
-
-                    return preprocessParsoidHtml(doc, app.conf.processing_scripts['mobile-html'])
-                    .then((doc) => {
-                        return { meta, document: doc };
-                    });
-                }
                 return { meta, document: doc };
             });
-        });
+        }
+        return { meta, document: doc };
+    });
+}
+
+/**
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {?boolean} [optimized] if true will apply additional transformations
+ * to reduce the payload
+ * @return {!promise} Returns a promise to retrieve the page content from Parsoid
+ */
+function pageDocumentPromise(app, req, optimized) {
+    return getParsoidHtml(app, req)
+        .then(response => pageDocumentFromResponse(app, req, response, optimized));
+}
+
+/**
+ * Builds the document for the references of a page from a Parsoid response which was already
+ * fetched.
+ * @param {!Object} app the application object
+ * @param {!Object} response the Parsoid response, as returned by getParsoidHtml
+ * @return {!promise} Returns a promise resolving to the meta data and the document
+ */
+function referencesDocumentFromResponse(app, response) {
+    const meta = getMetaFromHeaders(response.headers);
+    return mUtil.createDocument(response.body)
+    .then(doc => preprocessParsoidHtml(doc, app.conf.processing_scripts.references))
+    .then((doc) => {
+        return { meta, doc };
+    });
 }
 
 /**
@@ -188,24 +250,15 @@ function pageDocumentPromise(app, req, optimized) {
  */
 function pageHtmlPromiseForReferences(app, req) {
     return getParsoidHtml(app, req)
-        .then((response) => {
-            const meta = getRevAndTidFromEtag(response.headers);
-            meta._headers = {
-                'Content-Language': response.headers && response.headers['content-language'],
-                Vary: response.headers && response.headers.vary
-            };
-            return mUtil.createDocument(response.body)
-            .then(doc => preprocessParsoidHtml(doc, app.conf.processing_scripts.references))
-            .then((doc) => {
-                return { meta, doc };
-            });
-        });
+        .then(response => referencesDocumentFromResponse(app, response));
 }
 
 module.exports = {
     pageJsonPromise,
     pageDocumentPromise,
+    pageDocumentFromResponse,
     pageHtmlPromiseForReferences,
+    referencesDocumentFromResponse,
     getParsoidHtml,
     getMobileSectionsLead,
     getRevisionFromEtag,
@@ -0,0 +1,113 @@
+/**
+ * Named processing profiles, which replace some of the processing scripts run by an endpoint
+ * for requests selecting them. They are registered in the processing_profiles config option, e.g.
+ *
+ * processing_profiles:
+ *   mobile-html-lite:
+ *     mobile-html: mobile-html-lite # the name of a script in the processing folder
+ *   mobile-html-reader:
+ *     mobile-html-post-meta:        # or the steps of the script
+ *       - addPageHeader
+ *
+ * Scripts which a profile does not replace are the default ones.
+ */
+
+'use strict';
+
+const processing = require('./processing');
+const HTTPError = require('./util').HTTPError;
+
+/**
+ * The query parameter selecting the processing profile.
+ */
+const PROFILE_PARAM = 'profile';
+
+/**
+ * The request header selecting the processing profile if the query parameter is not given.
+ */
+const PROFILE_HEADER = 'x-processing-profile';
+
+/**
+ * Resolves the processing profiles registered in the config. Must be called once the scripts in
+ * the processing folder have been loaded.
+ * @param {!Object} app the application object
+ * @throws {Error} if a profile replaces or refers to an unknown script, or contains an invalid
+ * script
+ */
+function loadProfiles(app) {
+    const conf = app.conf.processing_profiles || {};
+    const errors = [];
+    app.processingProfiles = {};
+    Object.keys(conf).forEach((profile) => {
+        app.processingProfiles[profile] = {};
+        Object.keys(conf[profile] || {}).forEach((name) => {
+            const script = conf[profile][name];
+            if (!app.conf.processing_scripts[name]) {
+                errors.push(`${profile}.${name}: '${name}' is not a processing script`);
+                return;
+            }
+            if (typeof script === 'string') {
+                if (!app.conf.processing_scripts[script]) {
+                    errors.push(`${profile}.${name}: unknown processing script '${script}'`);
+                }
+                app.processingProfiles[profile][name] = app.conf.processing_scripts[script];
+                return;
+            }
+            const scriptErrors = processing.validate(script);
+            errors.push(...scriptErrors.map(error => `${profile}.${name}: ${error}`));
+            app.processingProfiles[profile][name] = scriptErrors.length ? undefined
+                : processing.prepareScript(script, `${profile}.${name}`, app);
+        });
+    });
+    if (errors.length) {
+        throw new Error(`Invalid processing profiles:\n${errors.join('\n')}`);
+    }
+}
+
+/**
+ * Middleware selecting the processing profile requested through the profile query parameter or
+ * the X-Processing-Profile header. The name of the selected profile is set as
+ * req.processingProfile, and as req.etagSuffix to include it in the ETag. Since the response
+ * depends on the header, it is added to Vary.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @param {!Function} next the next handler
+ * @throws {HTTPError} if the requested profile is not registered
+ */
+function selectProfile(req, res, next) {
+    const profiles = req.app.processingProfiles || {};
+    const profile = (req.query && req.query[PROFILE_PARAM]) || req.headers[PROFILE_HEADER];
+    res.vary(PROFILE_HEADER);
+    if (profile && !{}.hasOwnProperty.call(profiles, profile)) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Unknown processing profile',
+            detail: `The processing profile ${profile} is not registered.`
+        });
+    }
+    req.processingProfile = profile || undefined;
+    req.etagSuffix = req.processingProfile;
+    next();
+}
+
+/**
+ * Gets a processing script, as replaced by the processing profile selected for the request.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string} name the name of the default script
+ * @return {!Array} the processing script
+ */
+function getScript(app, req, name) {
+    const profile = req.processingProfile && app.processingProfiles
+        && app.processingProfiles[req.processingProfile];
+    return (profile && profile[name]) || app.conf.processing_scripts[name];
+}
+
+module.exports = {
+    PROFILE_PARAM,
+    PROFILE_HEADER,
+    loadProfiles,
+    selectProfile,
+    getScript
+};
@@ -2,6 +2,210 @@
 
 const P = require('bluebird');
 const transforms = require('./transforms');
+const HTTPError = require('./util').HTTPError;
+
+/**
+ * Key wrapping a step whose failure should be logged and skipped rather than fail the request,
+ * e.g., "- optional: relocateFirstParagraph".
+ */
+const OPTIONAL = 'optional';
+
+const MAX_STEPS_PER_TICK = 5;
+
+/**
+ * The argument forms of the transforms which take arguments in processing scripts: 'array' for
+ * a list of selectors, 'object' for a map of selectors to a value or a list of values. All other
+ * transforms are given as plain strings.
+ */
+const TRANSFORM_ARGUMENTS = {
+    addClassTo: 'object',
+    flattenElements: 'object',
+    rewriteUrlAttribute: 'object',
+    rmAttributes: 'object',
+    rmElements: 'array'
+};
+
+/**
+ * Gets the name of the transform a processing script step refers to.
+ * @param {!string|!Object} step processing script step
+ * @return {!string} the transform name
+ */
+function getTransformName(step) {
+    return typeof step === 'string' ? step : Object.keys(step)[0];
+}
+
+/**
+ * @param {!string|!Object} step processing script step
+ * @return {!boolean} true if the step is marked as optional
+ */
+function isOptional(step) {
+    return typeof step === 'object' && getTransformName(step) === OPTIONAL;
+}
+
+/**
+ * Performs the transform indicated by a single processing script step.
+ * @param {!Document} doc page Document object
+ * @param {!string|!Object} step processing script step
+ * @param {?Object} options optional object for additional input data that will be passed on to
+ * scalar scripts
+ */
+function runStep(doc, step, options) {
+    if (isOptional(step)) {
+        step = step[OPTIONAL];
+    }
+    if (typeof step === 'string') {
+        transforms[step](doc, options);
+    } else {
+        const transform = Object.keys(step)[0];
+        if (Array.isArray(step[transform])) {
+            transforms[transform](doc, step[transform].join());
+        } else {
+            Object.keys(step[transform]).forEach((k) => {
+                const v = step[transform][k];
+                transforms[transform](doc, k, v);
+            });
+        }
+    }
+}
+
+/**
+ * Checks the arguments given to a transform in a processing script step.
+ * @param {!string} transform the transform name
+ * @param {*} args the arguments given in the step
+ * @return {?string} a description of the problem, if the arguments are invalid
+ */
+function checkArguments(transform, args) {
+    const isString = value => typeof value === 'string';
+    const form = TRANSFORM_ARGUMENTS[transform];
+    if (!form) {
+        return 'takes no arguments, use the plain transform name';
+    }
+    if (form === 'array') {
+        if (!Array.isArray(args) || !args.length || !args.every(isString)) {
+            return 'expects a non-empty list of selectors';
+        }
+    } else if (!args || typeof args !== 'object' || Array.isArray(args)
+        || !Object.keys(args).length
+        || !Object.keys(args).every(k => isString(args[k])
+            || (Array.isArray(args[k]) && args[k].every(isString)))) {
+        return 'expects a map of selectors to a value or a list of values';
+    }
+}
+
+/**
+ * Validates a processing script against the registered transforms, including the form of the
+ * arguments given to them.
+ * @param {!Array} script processing script, as loaded from YAML (i.e., not chunked)
+ * @return {!string[]} descriptions of the problems found, empty if the script is valid
+ */
+function validate(script) {
+    if (!Array.isArray(script)) {
+        return [ 'the script must be a list of steps' ];
+    }
+    const errors = [];
+    script.forEach((step, i) => {
+        const prefix = `step ${i + 1}`;
+        if (isOptional(step)) {
+            step = step[OPTIONAL];
+        }
+        if (typeof step !== 'string' && !(step && typeof step === 'object'
+            && !Array.isArray(step) && Object.keys(step).length === 1)) {
+            errors.push(`${prefix}: must be a transform name or an object with a single key`);
+            return;
+        }
+        const transform = getTransformName(step);
+        if (typeof transforms[transform] !== 'function') {
+            errors.push(`${prefix}: unknown transform '${transform}'`);
+            return;
+        }
+        if (typeof step === 'string') {
+            if (TRANSFORM_ARGUMENTS[transform]) {
+                errors.push(`${prefix}: '${transform}' requires arguments`);
+            }
+            return;
+        }
+        const problem = checkArguments(transform, step[transform]);
+        if (problem) {
+            errors.push(`${prefix}: '${transform}' ${problem}`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Gets the selectors of the elements a processing script removes with rmElements steps.
+ * @param {!Array} script processing script, either as loaded from YAML or prepared
+ * @return {!string[]} the selectors
+ */
+function getRemovedSelectors(script) {
+    return [].concat.apply([], script).reduce((selectors, step) => {
+        if (isOptional(step)) {
+            step = step[OPTIONAL];
+        }
+        return getTransformName(step) === 'rmElements'
+            ? selectors.concat(step.rmElements) : selectors;
+    }, []);
+}
+
+/**
+ * Prepares a processing script loaded from YAML for use: splits it into chunks of steps to be
+ * performed per tick, and attaches the name of the script and the application object, so that
+ * failing steps can be attributed to the script and step timings reported to app.metrics.
+ * @param {!Array} script processing script, as loaded from YAML
+ * @param {!string} name the script name
+ * @param {!Object} app the application object
+ * @return {!Array} the prepared script
+ */
+function prepareScript(script, name, app) {
+    const chunks = [];
+    for (let i = 0; i < script.length; i += MAX_STEPS_PER_TICK) {
+        chunks.push(script.slice(i, i + MAX_STEPS_PER_TICK));
+    }
+    Object.defineProperty(chunks, 'context', { value: { name, app } });
+    return chunks;
+}
+
+/**
+ * Performs a processing script step, timing it and reporting its failure.
+ * @param {!Document} doc page Document object
+ * @param {!string|!Object} step processing script step
+ * @param {?Object} options optional object for additional input data that will be passed on to
+ * scalar scripts
+ * @param {!Object} context the name of the script and the application object, if known
+ * @throws {HTTPError} if a step which is not optional fails
+ */
+function runReportedStep(doc, step, options, context) {
+    const app = context.app || {};
+    const optional = isOptional(step);
+    const transform = getTransformName(optional ? step[OPTIONAL] : step);
+    const metric = `processing.${context.name}.${transform}`;
+    const startTime = Date.now();
+    try {
+        runStep(doc, step, options);
+    } catch (err) {
+        if (app.metrics) {
+            app.metrics.increment(`${metric}.failed`);
+        }
+        if (!optional) {
+            throw new HTTPError({
+                status: 500,
+                type: 'processing_error',
+                title: `Processing step ${transform} of script ${context.name} failed`,
+                detail: err.message,
+                stack: err.stack
+            });
+        }
+        if (app.logger) {
+            app.logger.log('warn/processing', {
+                msg: `Skipping optional processing step ${transform} of script ${context.name}`,
+                err
+            });
+        }
+    }
+    if (app.metrics) {
+        app.metrics.endTiming(metric, startTime);
+    }
+}
 
 /**
  * Iterates through the steps of a processing script and performs the indicated transforms.
@@ -9,7 +213,8 @@ const transforms = require('./transforms');
  * attached to the transforms object, or a key-value object, with the key representing the name
  * of a transform function attached to the transform object, and the value representing values to
  * pass in (represented as either an array or an object, depending on the structure of the
- * transform function).
+ * transform function). Either form can be wrapped in an object with the key 'optional' to skip
+ * the step if it fails.
  * @param {!Document} doc page Document object
  * @param {!Object} script processing script
  * @param {?Object} options optional object for additional input data that will be passed on to
@@ -17,6 +222,7 @@ const transforms = require('./transforms');
  * @return {!Promise} promise resolving to the transformed doc
  */
 module.exports = function(doc, script, options) {
+    const context = script.context || { name: 'unknown' };
 
     /**
      * Process array `arr` in chunks of size `size` per tick using function `fn`.
@@ -25,24 +231,22 @@ module.exports = function(doc, script, options) {
      */
     function _processChunked(arr, fn) {
         return P.each(arr, chunk => new P((res, rej) => {
-            return setImmediate(() => chunk.forEach(i => fn(i, res, rej)));
+            return setImmediate(() => {
+                try {
+                    chunk.forEach(fn);
+                    res();
+                } catch (e) {
+                    rej(e);
+                }
+            });
         }));
     }
 
-    return _processChunked(script, (step, res, rej) => {
-        if (typeof step === 'string') {
-            transforms[step](doc, options);
-        } else {
-            const transform = Object.keys(step)[0];
-            if (Array.isArray(step[transform])) {
-                transforms[transform](doc, step[transform].join());
-            } else {
-                Object.keys(step[transform]).forEach((k) => {
-                    const v = step[transform][k];
-                    transforms[transform](doc, k, v);
-                });
-            }
-        }
-        res();
-    }).then(() => doc);
+    return _processChunked(script, step => runReportedStep(doc, step, options, context))
+    .then(() => doc);
 };
+
+module.exports.prepareScript = prepareScript;
+module.exports.runStep = runStep;
+module.exports.validate = validate;
+module.exports.getRemovedSelectors = getRemovedSelectors;
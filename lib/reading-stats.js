@@ -0,0 +1,196 @@
+'use strict';
+
+const media = require('./media');
+const preprocessParsoidHtml = require('./processing');
+const transforms = require('./transforms');
+
+/**
+ * Reading speeds used to estimate reading times: words per minute for languages separating words
+ * with spaces, and characters per minute for CJK characters and the scripts of languages which
+ * don't separate words.
+ */
+const WORDS_PER_MINUTE = 200;
+const CHARACTERS_PER_MINUTE = 350;
+
+/**
+ * Han characters and kana, which are counted as a unit each in every language.
+ */
+const CJK_CHARACTERS = /[\u3040-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF]/g;
+
+/**
+ * Languages which don't separate words with spaces, whose letters are counted as a unit each.
+ */
+const CHARACTER_COUNTED_LANGUAGES = [ 'zh', 'ja', 'yue', 'wuu', 'gan', 'lzh', 'th', 'lo', 'km',
+    'my', 'bo', 'dz' ];
+
+/**
+ * Tokens which don't count as words: ASCII, general and CJK punctuation only.
+ */
+const PUNCTUATION_ONLY = /^[\u0021-\u002F\u003A-\u0040\u005B-\u0060\u007B-\u007E\u00A1-\u00BF\u2000-\u206F\u3000-\u303F\uFF01-\uFF0F]*$/;
+
+/**
+ * Content left out of word counts: tables (infoboxes, data tables), references, styles, scripts
+ * and content not meant to be read. The elements the mobile-html processing script removes are
+ * left out too.
+ */
+const UNCOUNTED_SELECTORS = [
+    'table',
+    'sup.mw-ref',
+    'ol.mw-references',
+    '.mw-references-wrap',
+    'style',
+    'script',
+    '.noprint'
+];
+
+/**
+ * Elements whose text is separated from the following text.
+ */
+const BLOCK_SELECTORS = 'p,h1,h2,h3,h4,h5,h6,li,dd,dt,div,blockquote,figcaption,br';
+
+/**
+ * Tables which aren't counted: message boxes and navigation boxes.
+ */
+const UNCOUNTED_TABLES = '.ambox,.navbox,.metadata';
+
+/**
+ * Counts the words of a text. CJK characters are counted as a word each, and in languages which
+ * don't separate words with spaces every character is.
+ * @param {!string} text the text
+ * @param {?string} lang the language code of the text
+ * @return {!Object} the number of words and of characters counted as words
+ */
+function countWords(text, lang) {
+    if (CHARACTER_COUNTED_LANGUAGES.includes((lang || '').split('-')[0])) {
+        const characters = text.replace(/\s+/g, '').split('')
+            .filter(c => !PUNCTUATION_ONLY.test(c)).length;
+        return { words: 0, characters };
+    }
+    const characters = (text.match(CJK_CHARACTERS) || []).length;
+    const words = text.replace(CJK_CHARACTERS, ' ').split(/\s+/)
+        .filter(token => !PUNCTUATION_ONLY.test(token)).length;
+    return { words, characters };
+}
+
+/**
+ * @param {!Object} count numbers of words and characters
+ * @return {!number} the estimated reading time in minutes, rounded up
+ */
+function getReadingTime(count) {
+    return Math.ceil(count.words / WORDS_PER_MINUTE + count.characters / CHARACTERS_PER_MINUTE);
+}
+
+/**
+ * Gets the readable text of a section, without its subsections.
+ * @param {!Element} section a section element
+ * @param {!string} uncounted selector of the elements left out of the text
+ * @return {!string} the text
+ */
+function getSectionText(section, uncounted) {
+    const clone = section.cloneNode(false);
+    Array.from(section.childNodes)
+    .filter(node => node.tagName !== 'SECTION')
+    .forEach(node => clone.appendChild(node.cloneNode(true)));
+    Array.from(clone.querySelectorAll(uncounted)).forEach((node) => {
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+    });
+    Array.from(clone.querySelectorAll(BLOCK_SELECTORS)).forEach((node) => {
+        node.parentNode.insertBefore(clone.ownerDocument.createTextNode(' '), node.nextSibling);
+    });
+    return clone.textContent;
+}
+
+/**
+ * Counts the words of each section of a page.
+ * @param {!Document} doc the page document
+ * @param {?string} lang the language code of the page
+ * @param {?string[]} [removed] selectors of further elements to leave out, e.g. those removed by
+ * the mobile-html processing
+ * @return {!Object[]} the id, word count and number of characters counted as words of each
+ * section
+ */
+function countSectionWords(doc, lang, removed) {
+    const uncounted = UNCOUNTED_SELECTORS.concat(removed || []).join(',');
+    return Array.from(doc.querySelectorAll('section[data-mw-section-id]'))
+    .map(section => ({
+        section: parseInt(section.getAttribute('data-mw-section-id'), 10),
+        count: countWords(getSectionText(section, uncounted), lang)
+    }))
+    .filter(section => section.section >= 0);
+}
+
+/**
+ * @param {!Document} doc the page document
+ * @return {!number} the number of tables, without nested tables, message boxes and navigation
+ * boxes
+ */
+function countTables(doc) {
+    return Array.from(doc.querySelectorAll('table'))
+    .filter(table => !table.parentNode.closest('table') && !table.matches(UNCOUNTED_TABLES))
+    .length;
+}
+
+/**
+ * @param {!Document} doc the page document
+ * @return {!Object} the number of images, videos and audio files, as listed by the media endpoint
+ */
+function countMedia(doc) {
+    const counts = { image: 0, video: 0, audio: 0 };
+    media.getMediaItemInfoFromDoc(doc)
+    .filter(item => ({}).hasOwnProperty.call(counts, item.type))
+    .forEach((item) => {
+        counts[item.type]++;
+    });
+    return counts;
+}
+
+/**
+ * Builds the reading statistics of a page, for showing the reading time and size of a page
+ * before it is opened or downloaded. Words are counted in the unprocessed document, without the
+ * elements the mobile-html processing script removes; the byte size is that of the document
+ * processed by the script.
+ * @param {!Document} doc the Parsoid document of the page, before processing; it isn't modified
+ * @param {!Array} mobileHtmlProcessing the mobile-html processing script
+ * @param {?string} lang the language code of the page
+ * @param {?Logger} logger a logger instance associated with the request
+ * @return {!Promise <Object>} promise resolving to the word count, the estimated reading time in
+ * minutes, the word count of each section, the numbers of media files, references and tables,
+ * and the byte size of the processed mobile-html
+ */
+function buildReadingStats(doc, mobileHtmlProcessing, lang, logger) {
+    const references = transforms.extractReferenceLists(doc.cloneNode(true), logger);
+    const sections = countSectionWords(doc, lang,
+        preprocessParsoidHtml.getRemovedSelectors(mobileHtmlProcessing));
+    const total = sections.reduce((sum, section) => ({
+        words: sum.words + section.count.words,
+        characters: sum.characters + section.count.characters
+    }), { words: 0, characters: 0 });
+    const stats = {
+        words: total.words + total.characters,
+        reading_time: getReadingTime(total),
+        sections: sections.map(section => ({
+            section: section.section,
+            words: section.count.words + section.count.characters
+        })),
+        media: countMedia(doc),
+        references: Object.keys(references.references_by_id).length,
+        tables: countTables(doc)
+    };
+    return preprocessParsoidHtml(doc.cloneNode(true), mobileHtmlProcessing)
+    .then((mobileHtml) => {
+        stats.mobile_html_bytes = Buffer.byteLength(mobileHtml.outerHTML, 'utf8');
+        return stats;
+    });
+}
+
+module.exports = {
+    buildReadingStats,
+    testing: {
+        countWords,
+        getReadingTime,
+        countSectionWords,
+        countTables
+    }
+};
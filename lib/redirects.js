@@ -0,0 +1,135 @@
+/**
+ * Opt-in redirect resolution for page content endpoints. By default, MCS doesn't follow
+ * redirects: redirect pages are handled like any other page. With redirect=true, the requested
+ * title is resolved through the MW API first, and the response describes the target page.
+ */
+
+'use strict';
+
+const api = require('./api-util');
+const sUtil = require('./util');
+
+const HTTPError = sUtil.HTTPError;
+
+/**
+ * The query parameter enabling redirect resolution
+ */
+const REDIRECT_PARAM = 'redirect';
+
+/**
+ * Reads the redirect option of a request.
+ * @param {!Object} query the request query parameters
+ * @return {!boolean} true if redirects should be followed
+ */
+function isRedirectRequested(query) {
+    const value = query[REDIRECT_PARAM];
+    if (value === undefined || value === 'false') {
+        return false;
+    }
+    if (value !== 'true') {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Invalid redirect option',
+            detail: `The ${REDIRECT_PARAM} parameter must be true or false.`
+        });
+    }
+    return true;
+}
+
+/**
+ * Gets the redirect target reported in a MW API query response. The MW API lists every hop of a
+ * chain of redirects, which is followed to its final target; the section anchor is that of the
+ * last hop having one. Redirects to other wikis aren't followed.
+ * @param {!Object} body the body of a MW API action=query response with redirects resolved
+ * @return {?Object} the title redirected from, the target title and the section anchor of the
+ * target, if the page is a redirect
+ */
+function getRedirect(body) {
+    const hops = (body.query && body.query.redirects) || [];
+    if (!hops.length) {
+        return undefined;
+    }
+    const hopsByFrom = {};
+    hops.forEach((hop) => {
+        hopsByFrom[hop.from] = hop;
+    });
+    // the chain starts with the hop which isn't the target of another one
+    const first = hops.find(hop => !hops.some(other => other.to === hop.from)) || hops[0];
+    let target = first;
+    let fragment;
+    for (let i = 0, next = first; next && i < hops.length; i++) {
+        target = next;
+        fragment = target.tofragment || fragment;
+        next = hopsByFrom[target.to];
+    }
+    if (target.tointerwiki) {
+        return undefined;
+    }
+    return {
+        from: first.from,
+        to: target.to,
+        fragment: fragment ? fragment.replace(/ /g, '_') : undefined
+    };
+}
+
+/**
+ * Middleware resolving the requested title to the target of the redirect it is, if requested
+ * with redirect=true. The title parameter of the request is replaced by the target title, so
+ * that the response, and its ETag, are those of the latest revision of the target page. The
+ * redirect followed is described in req.redirectedFrom, for responses to include as
+ * redirected_from. Only the latest revision of a redirect can be followed.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @param {!Function} next the next handler
+ * @return {?Promise} a promise resolving once the redirect has been resolved
+ */
+function resolveRedirect(req, res, next) {
+    if (!isRedirectRequested(req.query || {})) {
+        next();
+        return;
+    }
+    if (req.params.revision) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Invalid redirect option',
+            detail: 'Redirects can only be followed for the latest revision of a page.'
+        });
+    }
+    return api.mwApiGet(req.app, req.params.domain, {
+        action: 'query',
+        titles: req.params.title,
+        redirects: true
+    }, req)
+    .then((rsp) => {
+        const redirect = getRedirect(rsp.body);
+        if (redirect) {
+            req.params.title = redirect.to;
+            req.redirectedFrom = { title: redirect.from, fragment: redirect.fragment };
+        }
+        next();
+    });
+}
+
+/**
+ * Adds the redirect followed to build a response, if any.
+ * @param {!Object} req the request object
+ * @param {!Object} response the response body
+ * @return {!Object} the response body
+ */
+function addRedirectedFrom(req, response) {
+    if (req.redirectedFrom) {
+        response.redirected_from = req.redirectedFrom;
+    }
+    return response;
+}
+
+module.exports = {
+    resolveRedirect,
+    addRedirectedFrom,
+    testing: {
+        isRedirectRequested,
+        getRedirect
+    }
+};
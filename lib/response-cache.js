@@ -0,0 +1,237 @@
+/**
+ * Caching of upstream (Parsoid/RESTBase and MW API) responses.
+ *
+ * The cache is split in two parts: a backend, which stores string values under string keys, and
+ * the ResponseCache, which serializes responses, applies the TTL configured for each request type
+ * and reports hit/miss metrics. Caching is disabled unless the cache config option is set. The
+ * default backend is an in-process LRU cache; other backends (e.g., Redis or disk) can be plugged
+ * in through the cache.backend config option.
+ */
+
+'use strict';
+
+const BBPromise = require('bluebird');
+
+/**
+ * The maximum total length of the values kept by the memory backend, in characters.
+ */
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+
+/**
+ * Default time to live of the cached responses, in seconds, per request type. A TTL of 0
+ * disables caching for that type.
+ * parsoid: content of the latest revision of a page, which can change at any time
+ * parsoid_revision: content of a given revision and render (tid), which never changes
+ * mwapi: MW API responses to queries for a given revision; queries for the latest revision of a
+ * page aren't cached
+ */
+const DEFAULT_TTLS = {
+    parsoid: 60,
+    parsoid_revision: 24 * 60 * 60,
+    mwapi: 60
+};
+
+/**
+ * A cache backend must implement the following methods, both returning promises:
+ *   get(key): resolves to the string stored under the given key, or undefined if there is none
+ *     or it has expired;
+ *   set(key, value, ttl): stores the string value under the given key for ttl seconds.
+ * A backend module exports a function taking the cache config and returning such a backend.
+ */
+
+/**
+ * In-process cache backend evicting the least recently used entries once the total length of
+ * the stored values exceeds the configured maximum.
+ */
+class MemoryBackend {
+    /**
+     * @param {?Object} [conf={}] the cache config
+     * @param {?number} [conf.max_size] maximum total length of the stored values, in characters
+     */
+    constructor(conf = {}) {
+        this.maxSize = conf.max_size || DEFAULT_MAX_SIZE;
+        this.size = 0;
+        // Map iterates in insertion order, so the least recently used entry comes first
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {!string} key the cache key
+     * @return {!Promise} a promise resolving to the stored value, if any
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return BBPromise.resolve();
+        }
+        this._delete(key);
+        if (entry.expires <= Date.now()) {
+            return BBPromise.resolve();
+        }
+        this._insert(key, entry);
+        return BBPromise.resolve(entry.value);
+    }
+
+    /**
+     * @param {!string} key the cache key
+     * @param {!string} value the value to store
+     * @param {!number} ttl time to live, in seconds
+     * @return {!Promise} a promise resolving once the value is stored
+     */
+    set(key, value, ttl) {
+        this._delete(key);
+        if (value.length <= this.maxSize) {
+            this._insert(key, { value, expires: Date.now() + ttl * 1000 });
+            this._evict();
+        }
+        return BBPromise.resolve();
+    }
+
+    _insert(key, entry) {
+        this.entries.set(key, entry);
+        this.size += entry.value.length;
+    }
+
+    _delete(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.size -= entry.value.length;
+        }
+    }
+
+    _evict() {
+        const keys = this.entries.keys();
+        while (this.size > this.maxSize) {
+            this._delete(keys.next().value);
+        }
+    }
+}
+
+/**
+ * Response cache on top of a backend.
+ */
+class ResponseCache {
+    /**
+     * @param {!Object} backend the cache backend
+     * @param {?Object} [ttls={}] TTLs in seconds by request type, overriding the defaults
+     * @param {?Object} [app={}] the application object, for logging and metrics
+     */
+    constructor(backend, ttls = {}, app = {}) {
+        this.backend = backend;
+        this.ttls = Object.assign({}, DEFAULT_TTLS, ttls);
+        this.app = app;
+    }
+
+    _metric(type, result) {
+        if (this.app.metrics) {
+            this.app.metrics.increment(`cache.${type}.${result}`);
+        }
+    }
+
+    _warn(msg, err) {
+        if (this.app.logger) {
+            this.app.logger.log('warn/cache', { msg, err });
+        }
+    }
+
+    /**
+     * Gets a cached response. Backend errors are logged and reported as misses.
+     * @param {!string} type the request type
+     * @param {!string} key the cache key
+     * @return {!Promise} a promise resolving to the response object, or undefined on a miss
+     */
+    get(type, key) {
+        if (!this.ttls[type]) {
+            return BBPromise.resolve();
+        }
+        return BBPromise.try(() => this.backend.get(key))
+        .then(value => value && JSON.parse(value))
+        .catch((err) => {
+            this._warn(`Could not read ${key} from the cache`, err);
+        })
+        .then((response) => {
+            this._metric(type, response ? 'hit' : 'miss');
+            return response;
+        });
+    }
+
+    /**
+     * Stores a response. Only the status, headers and body are kept. Backend errors are logged.
+     * @param {!string} type the request type
+     * @param {!string} key the cache key
+     * @param {!Object} response the response object
+     * @return {!Promise} a promise resolving once the response is stored
+     */
+    set(type, key, response) {
+        const ttl = this.ttls[type];
+        if (!ttl) {
+            return BBPromise.resolve();
+        }
+        return BBPromise.try(() => this.backend.set(key, JSON.stringify({
+            status: response.status,
+            headers: response.headers,
+            body: response.body
+        }), ttl))
+        .catch((err) => {
+            this._warn(`Could not write ${key} to the cache`, err);
+        });
+    }
+
+    /**
+     * Gets a response from the cache, or fetches and caches it on a miss. Failed fetches are not
+     * cached.
+     * @param {!string} type the request type
+     * @param {!string} key the cache key
+     * @param {!Function} fetch function returning a promise of the response
+     * @return {!Promise} a promise resolving to the response object
+     */
+    getOrFetch(type, key, fetch) {
+        return this.get(type, key)
+        .then((cached) => {
+            if (cached) {
+                return cached;
+            }
+            return fetch().then((response) => {
+                // don't hold up the response while it is being stored
+                this.set(type, key, response);
+                return response;
+            });
+        });
+    }
+}
+
+/**
+ * Creates the response cache from the cache config option. The cache is only enabled if the
+ * option is set, either to true for the memory backend with the default settings, or to an
+ * object configuring the cache.
+ * @param {!Object} app the application object
+ * @param {?Object} [backend] the cache backend, created from the backend module configured in
+ * the cache.backend option; the memory backend is used if none is given
+ * @return {?ResponseCache} the response cache, or undefined if caching is disabled
+ */
+function createCache(app, backend) {
+    if (!app.conf.cache) {
+        return undefined;
+    }
+    const conf = app.conf.cache === true ? {} : app.conf.cache;
+    return new ResponseCache(backend || new MemoryBackend(conf), conf.ttl, app);
+}
+
+/**
+ * Checks whether the client asked for fresh content, in which case upstream responses must not
+ * be served from the cache.
+ * @param {?Object} req the request object
+ * @return {!boolean} true if the request has a Cache-Control: no-cache header
+ */
+function isBypassed(req) {
+    const cacheControl = req && req.headers && req.headers['cache-control'];
+    return !!cacheControl && /(^|[\s,])no-cache($|[\s,])/i.test(cacheControl);
+}
+
+module.exports = {
+    MemoryBackend,
+    ResponseCache,
+    createCache,
+    isBypassed
+};
@@ -0,0 +1,96 @@
+'use strict';
+
+const EditTransform = require('wikimedia-page-library').EditTransform;
+const transforms = require('../transforms');
+
+const HEADING_TAG = /^H[1-6]$/;
+
+/**
+ * Gets the heading of a section, which may have been wrapped in a header div by
+ * addSectionEditButtons.
+ * @param {!Element} sectionElement a <section> DOM element
+ * @return {?Element} the heading element, if any
+ */
+function getHeading(sectionElement) {
+    for (const child of Array.from(sectionElement.children)) {
+        if (HEADING_TAG.test(child.tagName)) {
+            return child;
+        }
+        if (child.classList.contains(EditTransform.CLASS.SECTION_HEADER)) {
+            return child.querySelector('h1,h2,h3,h4,h5,h6');
+        }
+    }
+}
+
+/**
+ * Gets the HTML of a section without its subsections, which are listed separately.
+ * @param {!Element} sectionElement a <section> DOM element
+ * @return {!string} the section HTML
+ */
+function getOwnHtml(sectionElement) {
+    const clone = sectionElement.cloneNode(true);
+    Array.from(clone.querySelectorAll('section[data-mw-section-id]'))
+    .filter(subsection => parseInt(subsection.getAttribute('data-mw-section-id'), 10) > 0)
+    .forEach(subsection => subsection.parentNode.removeChild(subsection));
+    return clone.innerHTML.trim();
+}
+
+/**
+ * Lists the sections of a page in document order. The lead section has id 0 and level 0;
+ * sections with negative ids (e.g. generated by templates) are part of the section enclosing them.
+ * @param {!Document} doc the processed page document
+ * @return {!Array} the sections, each with an id, level, anchor, heading html and text, the
+ * byte length of its HTML without subsections, whether it contains references and, as a
+ * non-enumerable property, that HTML
+ */
+function listSections(doc) {
+    const sections = Array.from(doc.querySelectorAll('section[data-mw-section-id]'))
+    .filter(element => parseInt(element.getAttribute('data-mw-section-id'), 10) >= 0)
+    .map((element) => {
+        const heading = getHeading(element);
+        const html = getOwnHtml(element);
+        const section = {
+            id: parseInt(element.getAttribute('data-mw-section-id'), 10),
+            level: heading ? parseInt(heading.tagName.charAt(1), 10) - 1 : 0,
+            anchor: heading ? heading.getAttribute('id') : undefined,
+            heading: heading ? {
+                html: heading.innerHTML.trim(),
+                text: heading.textContent.trim()
+            } : undefined,
+            bytes: Buffer.byteLength(html, 'utf8')
+        };
+        // the format expected by markReferenceSections, not part of the response
+        Object.defineProperty(section, 'toclevel', { value: section.level });
+        Object.defineProperty(section, 'text', { value: html, writable: true });
+        return section;
+    });
+
+    const remaining = sections.filter(section => section.id > 0);
+    if (remaining.length) {
+        transforms.markReferenceSections(remaining, false);
+    }
+    sections.forEach((section) => {
+        section.isReferenceSection = !!section.isReferenceSection;
+    });
+    return sections;
+}
+
+/**
+ * Builds the response for a single section, including its HTML.
+ * @param {!Array} sections the sections of the page, as returned by listSections
+ * @param {!number} id the section id
+ * @return {?Object} the section with its HTML, if found
+ */
+function getSection(sections, id) {
+    const section = sections.find(s => s.id === id);
+    return section && Object.assign({}, section, { html: section.text });
+}
+
+module.exports = {
+    getHeading,
+    listSections,
+    getSection,
+    testing: {
+        getOwnHtml
+    }
+};
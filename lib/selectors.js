@@ -6,7 +6,8 @@ const MediaSelectors = [
     '*[typeof^=mw:Image]',
     '*[typeof^=mw:Video]',
     '*[typeof^=mw:Audio]',
-    `img.${MATHOID_IMG_CLASS}`
+    `img.${MATHOID_IMG_CLASS}`,
+    'a[rel="mw:MediaLink"]'
 ];
 
 // Exclusions for various categories of content. See MMVB.isAllowedThumb in mediawiki-extensions-
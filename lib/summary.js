@@ -1,6 +1,8 @@
 'use strict';
 
 const P = require('bluebird');
+const disambiguation = require('./disambiguation');
+const imageinfo = require('./imageinfo');
 const mUtil = require('./mobile-util');
 const parsoid = require('./parsoid-access');
 const mwapi = require('./mwapi');
@@ -8,9 +10,29 @@ const preprocessParsoidHtml = require('./processing');
 const parsoidSections = require('./sections/parsoidSections');
 const transforms = require('./transforms');
 
+const HTTPError = require('./util').HTTPError;
+
 const NS_MAIN = 0;
-const SUMMARY_NS_WHITELIST = [ NS_MAIN ];
+const NS_PROJECT = 4;
+const NS_FILE = 6;
+const NS_CATEGORY = 14;
+const NS_PORTAL = 100;
+const SUMMARY_NS_WHITELIST = [ NS_MAIN, NS_PROJECT, NS_CATEGORY, NS_PORTAL ];
+/**
+ * The summary types of pages outside the main namespace which have summaries.
+ */
+const NAMESPACE_SUMMARY_TYPES = {
+    [NS_PROJECT]: 'project',
+    [NS_FILE]: 'file',
+    [NS_CATEGORY]: 'category',
+    [NS_PORTAL]: 'portal'
+};
 const EMPTY_EXTRACTS = { extract: '', extract_html: '' };
+/**
+ * The query options limiting the length of the extracts, with their maximum values.
+ */
+const EXTRACT_OPTIONS = { sentences: 50, chars: 10000 };
+const MAX_CONCURRENT_REQUESTS = 10;
 
 /**
  * Builds a dictionary containing the various forms of a page title that a client may need.
@@ -70,47 +92,190 @@ function shouldReturnEmptyExtracts(meta) {
         || meta.contentmodel !== 'wikitext';
 }
 
+/**
+ * File pages are summarized with the description of the file rather than a lead extract.
+ * @param {!Object} meta page metadata from MW API
+ * return {!boolean} true if the page is a file description page with file metadata
+ */
+function isFileSummary(meta) {
+    return meta.ns === NS_FILE && !meta.redirect && !!meta.extmetadata;
+}
+
+/**
+ * @param {!Object} meta page metadata from MW API
+ * return {!boolean} true if the page is a disambiguation page
+ */
+function isDisambiguationPage(meta) {
+    return !!meta.pageprops && {}.hasOwnProperty.call(meta.pageprops, 'disambiguation');
+}
+
 /**
  * Gets the page summary type.
  * @param {!Object} meta page metadata from MW API
- * return {!String} the summary type (one of 'no-extract', 'standard', 'disambiguation', or
- *      'mainpage')
+ * return {!String} the summary type (one of 'no-extract', 'standard', 'disambiguation',
+ *      'mainpage', 'file', 'category', 'portal' or 'project')
  */
 function getSummaryType(meta) {
-    const isDisambiguationPage = meta.pageprops
-        && {}.hasOwnProperty.call(meta.pageprops, 'disambiguation');
     if (meta.mainpage) {
         return 'mainpage';
     }
-    if (isDisambiguationPage) {
+    if (isDisambiguationPage(meta)) {
         return 'disambiguation';
     }
+    if (isFileSummary(meta)) {
+        return 'file';
+    }
     if (shouldReturnEmptyExtracts(meta)) {
         return 'no-extract';
     }
-    return 'standard';
+    return NAMESPACE_SUMMARY_TYPES[meta.ns] || 'standard';
+}
+
+/**
+ * Builds the properties specific to the summaries of some namespaces: the artist, credit and
+ * license of files, and the member counts of categories.
+ * @param {!Object} meta page metadata from MW API
+ * @return {!Object} the additional summary properties
+ */
+function buildNamespaceProperties(meta) {
+    if (isFileSummary(meta)) {
+        const fileInfo = imageinfo.getFileInfo(meta.extmetadata, meta.lang);
+        return {
+            artist: fileInfo.artist,
+            credit: fileInfo.credit,
+            license: fileInfo.license
+        };
+    }
+    if (meta.ns === NS_CATEGORY && meta.categoryinfo) {
+        return {
+            members: {
+                pages: meta.categoryinfo.pages,
+                subcategories: meta.categoryinfo.subcats,
+                files: meta.categoryinfo.files
+            }
+        };
+    }
+    return {};
+}
+
+/**
+ * Gets the extract length options given in the query of a summary request.
+ * @param {!Object} query the request query
+ * @return {!Object} the maximum number of sentences and characters of the extracts, if limited
+ * @throws {HTTPError} if an option is not a positive integer up to its maximum value
+ */
+function getExtractOptions(query) {
+    return Object.keys(EXTRACT_OPTIONS).reduce((options, name) => {
+        if (query[name] === undefined) {
+            return options;
+        }
+        const value = /^\d+$/.test(query[name]) ? parseInt(query[name], 10) : NaN;
+        if (!(value > 0 && value <= EXTRACT_OPTIONS[name])) {
+            throw new HTTPError({
+                status: 400,
+                type: 'bad_request',
+                title: `Invalid ${name} option`,
+                detail: `The ${name} option must be an integer from 1 to ${EXTRACT_OPTIONS[name]}.`
+            });
+        }
+        options[name] = value;
+        return options;
+    }, {});
 }
 
 /**
- * Builds the extract values.
+ * @param {!Object} options extract length options
+ * @return {!boolean} true if the options limit the length of the extracts
+ */
+function isLimited(options) {
+    return !!(options && (options.sentences || options.chars));
+}
+
+/**
+ * Middleware reading the extract length options of a summary request into req.extractOptions.
+ * Other query parameters are ignored. Since the options change the response, they are part of
+ * its ETag (e.g., "123/abc/s2-c100"), through req.etagSuffix.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @param {!Function} next the next handler
+ * @throws {HTTPError} if an option is invalid
+ */
+function selectExtractOptions(req, res, next) {
+    const options = getExtractOptions(req.query || {});
+    req.extractOptions = options;
+    if (isLimited(options)) {
+        req.etagSuffix = [
+            options.sentences && `s${options.sentences}`,
+            options.chars && `c${options.chars}`
+        ].filter(part => part).join('-');
+    }
+    next();
+}
+
+/**
+ * Limits the length of the extracts, if requested.
+ * @param {!Object} extracts the extract values
+ * @param {?Object} options extract length options
+ * @param {?string} lang the page language code
+ * @return {!Promise <Object {extract, extract_html}>} promise resolving to the extract values
+ */
+function limitExtracts(extracts, options, lang) {
+    if (!isLimited(options) || !extracts.extract_html) {
+        return P.resolve(extracts);
+    }
+    return transforms.truncateSummary(extracts, options, lang);
+}
+
+/**
+ * Builds the extract values. By default, the extract is the first paragraph of the lead section.
+ * If its length is limited, it is taken from all paragraphs of the lead section instead, so that
+ * it can span more than one paragraph.
  * @param {!string} html Parsoid HTML for the page
  * @param {!Object} meta page metadata from the MediaWiki API
  * @param {!Array} processing the summary processing script
+ * @param {?Object} options extract length options
  * @return {!Promise <Object {extract, extract_html}>} promise resolving to the extract values
  */
-function buildExtracts(html, meta, processing) {
-    if (shouldReturnEmptyExtracts(meta)) {
+function buildExtracts(html, meta, processing, options) {
+    if (isFileSummary(meta)) {
+        const description = imageinfo.getFileInfo(meta.extmetadata, meta.lang).description;
+        return description ? transforms.summarize.summarize(description.html)
+            .then(extracts => limitExtracts(extracts, options, meta.lang))
+            : P.resolve(EMPTY_EXTRACTS);
+    } else if (shouldReturnEmptyExtracts(meta)) {
         return P.resolve(EMPTY_EXTRACTS);
     } else {
         return parsoidSections.createDocumentFromLeadSection(html)
-        .then(doc => preprocessParsoidHtml(doc, processing))
+        .then(doc => preprocessParsoidHtml(doc, processing, { lang: meta.lang }))
         .then((doc) => {
-            const intro = transforms.extractLeadIntroduction(doc);
-            return intro.length ? transforms.summarize.summarize(intro) : EMPTY_EXTRACTS;
+            const intros = [ transforms.extractLeadIntroduction(doc, true) ];
+            while (isLimited(options) && intros[intros.length - 1].length) {
+                intros.push(transforms.extractLeadIntroduction(doc, true));
+            }
+            const intro = intros.filter(paragraph => paragraph.length).join('\n');
+            return intro.length ? transforms.summarize.summarize(intro)
+                .then(extracts => limitExtracts(extracts, options, meta.lang))
+                : EMPTY_EXTRACTS;
         });
     }
 }
 
+/**
+ * Builds the candidates listed on disambiguation pages.
+ * @param {!string} html Parsoid HTML for the page
+ * @param {!Object} meta page metadata from the MediaWiki API
+ * @param {!string} domain the request domain
+ * @return {!Promise <Object {candidates}>} promise resolving to the candidates grouped by section,
+ * or to an empty object for other pages
+ */
+function buildDisambiguationCandidates(html, meta, domain) {
+    if (meta.mainpage || !isDisambiguationPage(meta)) {
+        return P.resolve({});
+    }
+    return mUtil.createDocument(html)
+    .then(doc => ({ candidates: disambiguation.extractCandidates(doc, domain) }));
+}
+
 /**
  * Build a page summary
  * @param {!string} domain the request domain
@@ -120,41 +285,137 @@ function buildExtracts(html, meta, processing) {
  * @param {!Object} meta metadata from MW API
  * @param {!Object} siteinfo siteinfo from the MW API
  * @param {!Array} processing summary processing script
+ * @param {?Object} options extract length options
  * @return {!Object} a summary 2.0 spec-compliant page summary object
  */
-function buildSummary(domain, title, html, revTid, meta, siteinfo, processing) {
+function buildSummary(domain, title, html, revTid, meta, siteinfo, processing, options) {
     const titleObj = mwapi.getTitleObj(title, siteinfo);
-    return buildExtracts(html, meta, processing)
-    .then(extracts => Object.assign({
-        code: 200,
-        type: getSummaryType(meta),
-        title: meta.normalizedtitle,
-        displaytitle: meta.displaytitle,
-        namespace: { id: meta.ns, text: meta.nsText },
-        wikibase_item: meta.pageprops && meta.pageprops.wikibase_item,
-        titles: buildTitlesDictionary(titleObj, meta),
-        pageid: meta.id,
-        thumbnail: meta.thumbnail,
-        originalimage: meta.originalimage,
-        lang: meta.lang,
-        dir: meta.dir,
-        revision: revTid.revision,
-        tid: revTid.tid,
-        timestamp: parsoid.getModifiedFromHtml(html),
-        description: meta.description,
-        coordinates: meta.geo && {
-            lat: meta.geo.latitude,
-            lon: meta.geo.longitude
-        },
-        content_urls: buildContentUrls(titleObj, domain, meta),
-        api_urls: buildApiUrls(titleObj, domain, meta),
-    }, extracts));
+    return P.join(
+        buildExtracts(html, meta, processing, options),
+        buildDisambiguationCandidates(html, meta, domain),
+        (extracts, candidates) => Object.assign({
+            code: 200,
+            type: getSummaryType(meta),
+            title: meta.normalizedtitle,
+            displaytitle: meta.displaytitle,
+            namespace: { id: meta.ns, text: meta.nsText },
+            wikibase_item: meta.pageprops && meta.pageprops.wikibase_item,
+            titles: buildTitlesDictionary(titleObj, meta),
+            pageid: meta.id,
+            thumbnail: meta.thumbnail,
+            originalimage: meta.originalimage,
+            lang: meta.lang,
+            dir: meta.dir,
+            revision: revTid.revision,
+            tid: revTid.tid,
+            timestamp: parsoid.getModifiedFromHtml(html),
+            description: meta.description,
+            coordinates: meta.geo && {
+                lat: meta.geo.latitude,
+                lon: meta.geo.longitude
+            },
+            content_urls: buildContentUrls(titleObj, domain, meta),
+            api_urls: buildApiUrls(titleObj, domain, meta),
+        }, buildNamespaceProperties(meta), candidates, extracts));
+}
+
+/**
+ * Creates the error object reported in place of a summary which cannot be built.
+ * @param {!Object} err an HTTPError or other error
+ * @return {!Object} an object with an error property describing the problem
+ */
+function summaryError(err) {
+    return {
+        error: {
+            status: err.status || 500,
+            type: err.type || 'internal_error',
+            title: err.title || err.message,
+            detail: err.detail
+        }
+    };
+}
+
+/**
+ * Requests the Parsoid HTML for a page and builds its summary.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string} title the page title
+ * @param {!Object} meta page summary metadata from the MW API
+ * @param {!Object} siteinfo siteinfo from the MW API
+ * @return {!Promise} a promise resolving to the summary, or an error object
+ */
+function requestSummary(app, req, title, meta, siteinfo) {
+    const titleReq = Object.create(req);
+    titleReq.params = { domain: req.params.domain, title };
+    return parsoid.getParsoidHtml(app, titleReq)
+    .then((html) => {
+        const revTid = parsoid.getRevAndTidFromEtag(html.headers);
+        return buildSummary(req.params.domain, title, html.body, revTid, meta, siteinfo,
+            app.conf.processing_scripts.summary);
+    })
+    .then((summary) => {
+        delete summary.code;
+        return summary;
+    })
+    .catch((err) => {
+        req.logger.log('warn/summary', { msg: `Could not build summary for ${title}`, err });
+        return summaryError(err);
+    });
+}
+
+/**
+ * Builds summaries for many pages at once. The page metadata is requested from the MW API in
+ * batches, and the lead sections are fetched and processed in parallel.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string[]} titles the page titles
+ * @return {!Promise} a promise resolving to an object mapping each requested title to its
+ * summary, or to an object with an error property if the page is missing or invalid
+ */
+function requestSummaries(app, req, titles) {
+    titles = mUtil.deduplicate(titles);
+    return P.join(
+        mwapi.getSiteInfo(app, req),
+        mwapi.getMetadataForSummaries(app, req, titles, mwapi.LEAD_IMAGE_S),
+        (siteinfo, metadata) => P.map(titles, (title) => {
+            let dbTitle;
+            try {
+                dbTitle = mwapi.getDbTitle(title, siteinfo);
+            } catch (e) {
+                return summaryError(new HTTPError({
+                    status: 400,
+                    type: 'invalidtitle',
+                    title: 'Invalid title',
+                    detail: title
+                }));
+            }
+            if (!metadata[dbTitle]) {
+                return summaryError(new HTTPError({
+                    status: 404,
+                    type: 'missingtitle',
+                    title: "The page you requested doesn't exist",
+                    detail: title
+                }));
+            }
+            return requestSummary(app, req, title, metadata[dbTitle], siteinfo);
+        }, { concurrency: MAX_CONCURRENT_REQUESTS })
+        .then((summaries) => {
+            return titles.reduce((result, title, i) => {
+                result[title] = summaries[i];
+                return result;
+            }, {});
+        }));
 }
 
 module.exports = {
     buildSummary,
+    isDisambiguationPage,
+    selectExtractOptions,
+    requestSummaries,
     testing: {
         buildExtracts,
+        getExtractOptions,
+        buildNamespaceProperties,
         getSummaryType
     }
 };
@@ -0,0 +1,162 @@
+/**
+ * Timed text (captions and subtitles) of video and audio files, stored on TimedText pages of the
+ * wiki hosting the file, e.g. TimedText:Foo.webm.en.srt
+ */
+
+'use strict';
+
+const api = require('./api-util');
+const mwapi = require('./mwapi');
+const HTTPError = require('./util').HTTPError;
+
+/**
+ * The formats of TimedText pages, by MIME type
+ */
+const FORMATS = {
+    'text/vtt': 'vtt',
+    'text/x-srt': 'srt'
+};
+
+const LANG_REGEX = /^[a-z]{2,3}(?:-[a-z0-9]+)*$/i;
+
+/**
+ * Gets the timed text tracks of a video or audio element.
+ * @param {!Element} elem the video or audio element, or its figure
+ * @return {!Object[]} the language, label, kind, format, URL and TimedText page title of each
+ * track
+ */
+function getTracks(elem) {
+    return Array.from(elem.querySelectorAll('track')).map((track) => {
+        const title = track.getAttribute('data-mwtitle') || undefined;
+        const extension = title && /\.(srt|vtt)$/.exec(title);
+        return {
+            lang: track.getAttribute('srclang'),
+            label: track.getAttribute('label') || undefined,
+            kind: track.getAttribute('kind') || undefined,
+            format: FORMATS[track.getAttribute('type')] || (extension ? extension[1] : undefined),
+            src: track.getAttribute('src'),
+            title
+        };
+    });
+}
+
+/**
+ * Converts a SubRip (SRT) track to WebVTT. WebVTT tracks are returned as they are.
+ * @param {!string} text the content of the track
+ * @return {!string} the track in WebVTT format
+ */
+function toWebVtt(text) {
+    text = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+    if (/^WEBVTT/.test(text)) {
+        return `${text}\n`;
+    }
+    const cues = text.split('\n').map((line) => {
+        if (!line.includes('-->')) {
+            return line;
+        }
+        // 00:00:01,000 --> 00:00:04,000 becomes 00:00:01.000 --> 00:00:04.000
+        return line.replace(/(\d+:\d{2}:\d{2}),(\d{3})/g, '$1.$2');
+    }).join('\n');
+    return `WEBVTT\n\n${cues}\n`;
+}
+
+/**
+ * Gets the domain of the wiki hosting a file, e.g. commons.wikimedia.org for files shared from
+ * Commons, from the URL of its description page.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object
+ * @param {!string} title the file title
+ * @return {!Promise} a promise resolving to the domain of the file repository
+ */
+function getFileRepositoryDomain(app, req, title) {
+    return api.mwApiGet(app, req.params.domain, {
+        action: 'query',
+        prop: 'imageinfo',
+        iiprop: 'url',
+        titles: title
+    }, req)
+    .then((rsp) => {
+        const page = rsp.body.query && rsp.body.query.pages && rsp.body.query.pages[0];
+        const imageInfo = page && page.imageinfo && page.imageinfo[0];
+        const host = imageInfo && /^(?:https?:)?\/\/([^/]+)/.exec(imageInfo.descriptionurl);
+        if (!host) {
+            throw new HTTPError({
+                status: 404,
+                type: 'not_found',
+                title: 'No such file',
+                detail: `${title} doesn't exist.`
+            });
+        }
+        return host[1];
+    });
+}
+
+/**
+ * Gets a timed text track of a file, converted to WebVTT. The track is looked up on the wiki
+ * hosting the file, which is Commons for most files used on other wikis.
+ * @param {!Object} app the application object
+ * @param {!Object} req the request object; req.params.title is the file title and
+ * req.params.lang the language of the track
+ * @return {!Promise} a promise resolving to an object with the revision of the TimedText page and
+ * the track in WebVTT format
+ */
+function requestTrack(app, req) {
+    const lang = req.params.lang;
+    if (!LANG_REGEX.test(lang)) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Invalid language',
+            detail: `${lang} is not a valid language code.`
+        });
+    }
+    return mwapi.getSiteInfo(app, req)
+    .then((siteinfo) => {
+        const title = mwapi.getTitleObj(req.params.title, siteinfo);
+        if (!title.getNamespace().isFile()) {
+            throw new HTTPError({
+                status: 400,
+                type: 'bad_request',
+                title: 'Not a file',
+                detail: `${req.params.title} is not a file title.`
+            });
+        }
+        return getFileRepositoryDomain(app, req, req.params.title)
+        .then((domain) => {
+            const pageTitles = Object.keys(FORMATS)
+                .map(type => `TimedText:${title.getKey()}.${lang}.${FORMATS[type]}`);
+            return api.mwApiGet(app, domain, {
+                action: 'query',
+                prop: 'revisions',
+                rvprop: 'ids|content',
+                rvslots: 'main',
+                titles: pageTitles.join('|')
+            }, req);
+        });
+    })
+    .then((rsp) => {
+        const pages = (rsp.body.query && rsp.body.query.pages) || [];
+        const page = pages.find(p => !p.missing && !p.invalid && p.revisions);
+        if (!page) {
+            throw new HTTPError({
+                status: 404,
+                type: 'not_found',
+                title: 'No timed text',
+                detail: `${req.params.title} has no timed text in ${lang}.`
+            });
+        }
+        const revision = page.revisions[0];
+        return {
+            revision: revision.revid,
+            body: toWebVtt(revision.slots.main.content)
+        };
+    });
+}
+
+module.exports = {
+    getTracks,
+    requestTrack,
+    testing: {
+        toWebVtt
+    }
+};
@@ -7,17 +7,104 @@ const DEWIKI_HATNOTE_SELECTORS = [
     'table#Vorlage_Dieser_Artikel tbody > tr > td'
 ];
 
+/**
+ * Hatnote kinds, in order of precedence. A hatnote is of the first kind whose template it is
+ * transcluded from, whose table id it is in (dewiki), or whose expression its text matches.
+ */
+const HATNOTE_KINDS = [
+    {
+        kind: 'main',
+        templates: [ 'Main', 'Main article', 'Hauptartikel' ],
+        text: /^(?:Main articles?|Hauptartikel)\s*:/i
+    },
+    {
+        kind: 'further',
+        templates: [ 'Further', 'Further information', 'Details' ],
+        text: /^(?:Further information|Further reading|Weitere Informationen)\b/i
+    },
+    {
+        kind: 'see_also',
+        templates: [ 'See also', 'Siehe auch' ],
+        text: /^(?:See also|Siehe auch)\b/i
+    },
+    {
+        kind: 'redirect',
+        templates: [ 'Redirect', 'Redirect2', 'Redirect-multi', 'Redirect-distinguish' ],
+        text: /\bredirects? here\b/i
+    },
+    {
+        kind: 'distinguish',
+        templates: [ 'Distinguish', 'Verwechslungshinweis' ],
+        text: /^(?:Not to be confused with|Nicht zu verwechseln mit)\b/i
+    },
+    {
+        kind: 'other_uses',
+        templates: [ 'About', 'For', 'Other uses', 'Otheruses', 'Other people', 'Other places' ],
+        tables: [ 'Vorlage_Begriffsklärungshinweis', 'Vorlage_Dieser_Artikel' ],
+        text: /\b(?:for other uses|other uses of|may also refer to)\b|\(disambiguation\)/i
+    }
+];
+
+/**
+ * Gets the name of the template a hatnote is transcluded from, if Parsoid recorded it.
+ * @param {!Element} el the hatnote element
+ * @return {?string} the template name, without namespace
+ */
+function _getTemplateName(el) {
+    const transclusion = el.closest('[typeof~="mw:Transclusion"]');
+    if (!transclusion) {
+        return undefined;
+    }
+    try {
+        const parts = JSON.parse(transclusion.getAttribute('data-mw')).parts;
+        const template = parts.find(part => part.template).template;
+        return template.target.wt.trim().replace(/^[^:]*:/, '').replace(/_/g, ' ');
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Classifies a hatnote.
+ * @param {!Element} el the hatnote element
+ * @return {?string} the kind of the hatnote: main, further, see_also, redirect, distinguish or
+ * other_uses; undefined if it can't be classified
+ */
+function getHatnoteKind(el) {
+    const template = _getTemplateName(el);
+    const table = el.closest('table');
+    const text = el.textContent.trim();
+    const match = HATNOTE_KINDS.find(rule => template && rule.templates.includes(template))
+        || HATNOTE_KINDS.find(rule => table && (rule.tables || []).includes(table.id))
+        || HATNOTE_KINDS.find(rule => rule.text.test(text));
+    return match && match.kind;
+}
+
+/**
+ * Gets the pages a hatnote links to. Red links are skipped.
+ * @param {!Element} el the hatnote element
+ * @param {!string} domain the request domain
+ * @return {!Object[]} the titles, section anchor (if linked to a section) and summary URL of each
+ * linked page
+ */
+function getHatnoteLinks(el, domain) {
+    return Array.from(el.querySelectorAll('a[rel="mw:WikiLink"]:not(.new)'))
+    .map(a => mUtil.buildPageLink(a, domain));
+}
+
 function _getHatnoteForMobileSections(el) {
     if (mUtil.getSectionIdForElement(el) === 0 && el.textContent.trim().length) {
         return el.innerHTML.trim();
     }
 }
 
-function _getHatnoteForMetadata(el) {
+function _getHatnoteForMetadata(el, domain) {
     if (el.textContent.trim().length) {
         return {
             section: mUtil.getSectionIdForElement(el),
-            html: el.innerHTML.trim()
+            html: el.innerHTML.trim(),
+            kind: getHatnoteKind(el),
+            links: getHatnoteLinks(el, domain)
         };
     }
 }
@@ -41,10 +128,12 @@ function _extractHatnotes(doc, extract) {
 
 /**
  * @param {!Document} doc
- * @return {?Object[]} where each element contains the hatnote's text, inner html, and section
+ * @param {!string} domain the request domain, for the summary URLs of linked pages
+ * @return {?Object[]} where each element contains the hatnote's section, inner html, kind and
+ * linked pages
  */
-function extractHatnotesForMetadata(doc) {
-    return _extractHatnotes(doc, _getHatnoteForMetadata);
+function extractHatnotesForMetadata(doc, domain) {
+    return _extractHatnotes(doc, el => _getHatnoteForMetadata(el, domain));
 }
 
 /**
@@ -57,5 +146,9 @@ function extractHatnotesForMobileSections(doc) {
 
 module.exports = {
     extractHatnotesForMetadata,
-    extractHatnotesForMobileSections
+    extractHatnotesForMobileSections,
+    testing: {
+        getHatnoteKind,
+        getHatnoteLinks
+    }
 };
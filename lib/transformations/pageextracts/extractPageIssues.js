@@ -2,6 +2,117 @@
 
 const mUtil = require('../../mobile-util');
 
+/**
+ * Issue severities, from the ambox-<severity> class of the message box.
+ */
+const SEVERITIES = [ 'speedy', 'delete', 'content', 'style', 'notice', 'protection' ];
+
+const MONTHS = [ 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+    'september', 'october', 'november', 'december' ];
+
+/**
+ * Parts of the issue text which are left out of its summary: the explanation hidden in compact
+ * message boxes, the date and the "Learn how and when to remove this template message" link.
+ */
+const SUMMARY_EXCLUDED_SELECTORS = [
+    '.hide-when-compact',
+    '.date-container',
+    'a[href$="Help:Maintenance_template_removal"]'
+];
+
+/**
+ * Gets the template parameters of a message box from its Parsoid data-mw, unless the box is
+ * nested in the parameters of another template (e.g. {{Multiple issues}}).
+ * @param {!Element} box the message box
+ * @return {?Object} the template target and parameters
+ */
+function _getTemplate(box) {
+    if (!/\bmw:Transclusion\b/.test(box.getAttribute('typeof') || '')) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(box.getAttribute('data-mw')).parts.find(part => part.template).template;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Gets the name of the template an issue is transcluded from, from Parsoid data-mw, or else from
+ * the box-<template> class of its message box.
+ * @param {!Element} box the message box
+ * @return {?string} the template name
+ */
+function getIssueTemplate(box) {
+    const template = _getTemplate(box);
+    if (template) {
+        return template.target.wt.trim().replace(/^[Tt]emplate:/, '').replace(/_/g, ' ');
+    }
+    const boxClass = box.className.split(/\s+/).find(cls => cls.startsWith('box-'));
+    return boxClass ? boxClass.slice('box-'.length).replace(/_/g, ' ') : undefined;
+}
+
+/**
+ * @param {!Element} box the message box
+ * @return {?string} the severity of the issue: speedy, delete, content, style, notice or
+ * protection
+ */
+function getIssueSeverity(box) {
+    return SEVERITIES.find(severity => box.classList.contains(`ambox-${severity}`));
+}
+
+/**
+ * Gets the month and year an issue was dated with, from the date parameter of the template or
+ * else from the date shown in the message box.
+ * @param {!Element} box the message box
+ * @param {!Element} el the issue text element
+ * @return {?Object} the year and, if it is recognized, the month (1-12)
+ */
+function getIssueDate(box, el) {
+    const template = _getTemplate(box);
+    const param = template && template.params && template.params.date;
+    const dateEl = el.querySelector('.date-container .date');
+    const date = param ? param.wt : dateEl && dateEl.textContent;
+    const year = date && /\b\d{4}\b/.exec(date);
+    if (!year) {
+        return undefined;
+    }
+    const month = MONTHS.indexOf(date.trim().split(/\s+/)[0].toLowerCase()) + 1;
+    return {
+        year: parseInt(year[0], 10),
+        month: month || undefined
+    };
+}
+
+/**
+ * @param {!Element} el the issue text element
+ * @return {!string} the issue text on one line, without explanations, date and boilerplate
+ */
+function getIssueSummary(el) {
+    const clone = el.cloneNode(true);
+    Array.from(clone.querySelectorAll(SUMMARY_EXCLUDED_SELECTORS.join(','))).forEach((node) => {
+        const container = node.closest('small') || node;
+        if (container.parentNode) {
+            container.parentNode.removeChild(container);
+        }
+    });
+    return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {!Element} el the issue text element
+ * @return {!Object} the template, severity, date and summary of the issue
+ */
+function _getIssueDetails(el) {
+    const box = el.closest('.ambox');
+    return {
+        template: box ? getIssueTemplate(box) : undefined,
+        severity: box ? getIssueSeverity(box) : undefined,
+        date: box ? getIssueDate(box, el) : undefined,
+        summary: getIssueSummary(el)
+    };
+}
+
 function _getIssueForMobileSections(el) {
     if (mUtil.getSectionIdForElement(el) === 0) {
         return {
@@ -12,10 +123,10 @@ function _getIssueForMobileSections(el) {
 }
 
 function _getIssueForMetadata(el) {
-    return {
+    return Object.assign({
         section: mUtil.getSectionIdForElement(el),
         html: el.innerHTML
-    };
+    }, _getIssueDetails(el));
 }
 
 /**
@@ -60,5 +171,11 @@ function extractPageIssuesForMobileSections(doc, remove) {
 
 module.exports = {
     extractPageIssuesForMetadata,
-    extractPageIssuesForMobileSections
+    extractPageIssuesForMobileSections,
+    testing: {
+        getIssueTemplate,
+        getIssueSeverity,
+        getIssueDate,
+        getIssueSummary
+    }
 };
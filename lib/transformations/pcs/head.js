@@ -115,8 +115,33 @@ function addPageLibJs(document) {
     }
 }
 
+/**
+ * Adds meta elements describing the redirect followed to get the page to html/head/, for clients
+ * to show where the page was redirected from and scroll to the section redirected to.
+ * <meta property="mw:redirectedFrom" content="Obama" />
+ * <meta property="mw:redirectedFromFragment" content="Early_life" />
+ * @param {Document} document DOM document
+ * @param {!Object} redirectedFrom the title redirected from and the section anchor, if any
+ */
+function addMetaRedirectedFrom(document, redirectedFrom) {
+    const headEl = document.querySelector('html > head');
+    if (!headEl) {
+        return;
+    }
+    [
+        [ 'mw:redirectedFrom', redirectedFrom.title ],
+        [ 'mw:redirectedFromFragment', redirectedFrom.fragment ]
+    ].filter(meta => meta[1]).forEach((meta) => {
+        const el = document.createElement('meta');
+        el.setAttribute('property', meta[0]);
+        el.setAttribute('content', meta[1]);
+        headEl.appendChild(el);
+    });
+}
+
 module.exports = {
     addCssLinks,
     addMetaViewport,
-    addPageLibJs
+    addPageLibJs,
+    addMetaRedirectedFrom
 };
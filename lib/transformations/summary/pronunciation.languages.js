@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * Separators between the parts of parentheticals, e.g. the pronunciation and the native name in
+ * "(/ˈtoʊkioʊ/; Japanese: 東京, Tōkyō)". Major separators divide parts which are removed
+ * independently, minor separators may also occur within a part.
+ */
+const majorSeparatorChars = ';、；';
+const minorSeparatorChars = ',，';
+
+/**
+ * English names of the languages and scripts native names and transliterations are given in,
+ * e.g. "(Japanese: 東京)", and the qualifiers preceding them, e.g. "(Ancient Greek: Ἀθῆναι)".
+ * Other labels, e.g. "(Population: 1.2 million)", don't introduce a native name.
+ */
+const englishLanguageNames = [
+    'Afrikaans', 'Albanian', 'Amharic', 'Arabic', 'Aramaic', 'Armenian', 'Azerbaijani', 'Basque',
+    'Belarusian', 'Bengali', 'Bosnian', 'Breton', 'Bulgarian', 'Burmese', 'Cantonese', 'Catalan',
+    'Chinese', 'Cornish', 'Croatian', 'Czech', 'Danish', 'Dutch', 'English', 'Esperanto',
+    'Estonian', 'Faroese', 'Filipino', 'Finnish', 'French', 'Frisian', 'Gaelic', 'Galician',
+    'Georgian', 'German', 'Greek', 'Gujarati', 'Hawaiian', 'Hebrew', 'Hindi', 'Hokkien',
+    'Hungarian', 'Icelandic', 'Indonesian', 'Irish', 'Italian', 'Japanese', 'Kannada', 'Kazakh',
+    'Khmer', 'Korean', 'Kurdish', 'Kyrgyz', 'Lao', 'Latin', 'Latvian', 'Lithuanian',
+    'Luxembourgish', 'Macedonian', 'Malay', 'Malayalam', 'Maltese', 'Mandarin', 'Manx', 'Māori',
+    'Marathi', 'Mongolian', 'Nepali', 'Norse', 'Norwegian', 'Occitan', 'Pashto', 'Persian',
+    'Polish', 'Portuguese', 'Punjabi', 'Romanian', 'Russian', 'Sanskrit', 'Scots', 'Serbian',
+    'Sinhala', 'Slovak', 'Slovene', 'Somali', 'Spanish', 'Swahili', 'Swedish', 'Tagalog',
+    'Tajik', 'Tamil', 'Tatar', 'Telugu', 'Thai', 'Tibetan', 'Turkish', 'Turkmen', 'Ukrainian',
+    'Urdu', 'Uyghur', 'Uzbek', 'Vietnamese', 'Welsh', 'Yiddish', 'Yoruba', 'Zulu',
+    // scripts and romanizations
+    'Cyrillic', 'Devanagari', 'Hangul', 'Hanja', 'Hiragana', 'Jyutping', 'Kana', 'Kanji',
+    'Katakana', 'Pinyin', 'Romaji', 'Romanization', 'Romanized', 'Transliteration'
+];
+const englishLanguageQualifiers = [ 'Ancient', 'Biblical', 'Classical', 'Koine', 'Literary',
+    'Medieval', 'Middle', 'Modern', 'Old', 'Revised', 'Scottish', 'Simplified', 'Standard',
+    'Traditional' ];
+
+/**
+ * Rules for stripping pronunciations, transliterations and native-script names from summaries,
+ * by language code. The rules for all languages ('*') apply in addition to those of the language.
+ *
+ * elements: selectors of the elements to remove (IPA, audio links, respellings)
+ * parentheticals: regular expressions tested against the text in parentheses or square brackets;
+ *   matching parentheticals are removed, including the brackets
+ */
+const languages = {
+
+    '*': {
+        elements: [
+            'span.IPA',
+            '.haudio',
+            'figure-inline[typeof~="mw:Audio"]'
+        ],
+        parentheticals: [
+            // nothing left after removing the elements above
+            new RegExp(String.raw`^[\s${majorSeparatorChars}${minorSeparatorChars}]*$`)
+        ]
+    },
+
+    en: {
+        elements: [
+            // {{IPAc-en}} and {{respell}} wrappers
+            'span.rt-commentedText'
+        ],
+        parentheticals: [
+            // (listen), (pronounced ...)
+            /^(?:listen|pronounced|pronunciation)\b/i,
+            // (Japanese: 東京), (Ancient Greek: Ἀθῆναι)
+            new RegExp(`^(?:(?:${englishLanguageQualifiers.join('|')}) )*`
+                + `(?:${englishLanguageNames.join('|')})(?: language| script)?:\\s`),
+            // (東京), (Москва)
+            /^[^\u0021-\u024F\u1E00-\u1EFF\d]+$/
+        ]
+    },
+
+    de: {
+        elements: [
+            'a[href="./Liste_der_IPA-Zeichen"]'
+        ],
+        parentheticals: [
+            // (Aussprache: ...), (anhören)
+            /^(?:Aussprache|anhören)\b/i,
+            // (englisch Republic of Malta), (altgriechisch Ἀθῆναι Athēnai)
+            /^[a-zäöü]+isch\s/
+        ]
+    },
+
+    fr: {
+        elements: [
+            // {{API}}
+            'span.API'
+        ],
+        parentheticals: [
+            // (prononcé ...), (écouter)
+            /^(?:prononcé|prononciation|écouter)(?![a-zà-ÿ])/i,
+            // (en japonais : 東京)
+            /^en [a-zéèêëîïôûç]+(?: [a-zéèêëîïôûç]+)?\s*:/
+        ]
+    },
+
+    es: {
+        parentheticals: [
+            // (pronunciado ...), (escuchar)
+            /^(?:pronunciado|pronunciación|escuchar)(?![a-zà-ÿ])/i,
+            // (en japonés: 東京)
+            /^en [a-záéíóúüñ]+(?: [a-záéíóúüñ]+)?\s*:/
+        ]
+    },
+
+    ru: {
+        parentheticals: [
+            // (англ. United Kingdom), (др.-греч. Ἀθῆναι)
+            /^(?:[а-яё]+\.-)?(?:англ|нем|фр|франц|лат|греч|яп|кит|исп|итал|араб|укр|белор)\.\s/,
+            // (МФА: ...), (произношение)
+            /^(?:МФА|произношение)\b/i
+        ]
+    },
+
+    ja: {
+        parentheticals: [
+            // （英語: Tokyo）, （英: Tokyo）
+            /^(?:[^\s:：、（）()]{1,6}語|英|羅|独|仏|発音)\s*[:：]/,
+            // readings: 東京都（とうきょうと）
+            /^[\u3040-\u309F\u30FC\u30FB\s]+$/
+        ]
+    },
+
+    zh: {
+        parentheticals: [
+            // （英語：Tokyo）, （拼音：Běijīng）
+            /^(?:[^\s:：，、（）()]{1,6}[語语文]|英|拉丁|拼音|粵拼|粤拼|注音)\s*[:：]/
+        ]
+    },
+
+    ko: {
+        parentheticals: [
+            // (영어: Seoul), (한자: 首爾)
+            /^(?:[^\s:：,()]{1,6}어|한자|영문)\s*[:：]/,
+            // hanja: 서울특별시(서울特別市)
+            /^[\uAC00-\uD7A3]*[\u4E00-\u9FFF][\u4E00-\u9FFF\uAC00-\uD7A3\s·]*$/
+        ]
+    },
+
+    hi: {
+        parentheticals: [
+            // (अंग्रेज़ी: India), (उच्चारण: ...)
+            /^(?:अंग्रेज़ी|अंग्रेजी|संस्कृत|उच्चारण)\s*[:：]/
+        ]
+    },
+
+    ar: {
+        parentheticals: [
+            // (بالإنجليزية: Egypt)
+            /^(?:بالإنجليزية|بالإنكليزية|باللاتينية|بالفرنسية|بالألمانية|النطق)\s*[:：]?/
+        ]
+    }
+
+};
+
+module.exports = {
+    languages,
+    majorSeparatorChars,
+    minorSeparatorChars
+};
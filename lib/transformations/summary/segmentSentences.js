@@ -0,0 +1,99 @@
+'use strict';
+
+/**
+ * Sentence terminators which only end a sentence when followed by whitespace, so that decimal
+ * numbers, URLs and ellipses within sentences are not split.
+ */
+const SPACED_TERMINATORS = '.!?…';
+
+/**
+ * Sentence terminators which end a sentence wherever they occur: CJK full stops and question and
+ * exclamation marks, the Devanagari danda and double danda (also used in Bengali), the Arabic
+ * question mark, the Armenian full stop, the Ethiopic full stop and the Khmer khan.
+ */
+const UNSPACED_TERMINATORS = '。！？｡।॥؟։።។';
+
+/**
+ * Quotes and brackets which belong to the sentence they follow the terminator of.
+ */
+const CLOSERS = '"\'»”’)]）」』〕】';
+
+/**
+ * Languages which don't use sentence punctuation, but separate sentences with spaces.
+ */
+const SPACE_SEPARATED_LANGUAGES = [ 'th', 'lo' ];
+
+/**
+ * @param {!string} text the text
+ * @param {!number} i an offset in the text
+ * @return {!number} the offset following any closing quotes or brackets at offset i
+ */
+function skipClosers(text, i) {
+    while (i < text.length && CLOSERS.includes(text[i])) {
+        i++;
+    }
+    return i;
+}
+
+/**
+ * @param {!string} c a character
+ * @return {!boolean} true if the character is a letter of a cased script
+ */
+function isCasedLetter(c) {
+    return !!c && c.toLowerCase() !== c.toUpperCase();
+}
+
+/**
+ * Checks whether a full stop at offset i ends an initial, e.g. in "J. R. R. Tolkien", or is
+ * followed by a lowercase letter, e.g. in "approx. five", in which case it doesn't end the
+ * sentence.
+ * @param {!string} text the text
+ * @param {!number} i the offset of the full stop
+ * @param {!number} next the offset of the first character after the whitespace following it
+ * @return {!boolean} true if the full stop doesn't end the sentence
+ */
+function isAbbreviation(text, i, next) {
+    if (text[i] !== '.') {
+        return false;
+    }
+    const previous = text.charAt(i - 1);
+    const initial = isCasedLetter(previous) && previous === previous.toUpperCase()
+        && !isCasedLetter(text.charAt(i - 2));
+    const following = text.charAt(next);
+    return initial || (isCasedLetter(following) && following === following.toLowerCase());
+}
+
+/**
+ * Segments a text into sentences.
+ * @param {!string} text plain text
+ * @param {?string} lang the language code of the text
+ * @return {!number[]} the offsets at which the sentences end, excluding the whitespace
+ * separating them; the last one is the length of the text (without trailing whitespace)
+ */
+module.exports = (text, lang) => {
+    const spaceSeparated = SPACE_SEPARATED_LANGUAGES.includes((lang || '').split('-')[0]);
+    const ends = [];
+    for (let i = 0; i < text.length; i++) {
+        let end;
+        if (UNSPACED_TERMINATORS.includes(text[i])) {
+            end = skipClosers(text, i + 1);
+        } else if (SPACED_TERMINATORS.includes(text[i])) {
+            const after = skipClosers(text, i + 1);
+            const next = after + text.slice(after).search(/\S|$/);
+            if (next > after && next < text.length && !isAbbreviation(text, i, next)) {
+                end = after;
+            }
+        } else if (spaceSeparated && /\s/.test(text[i]) && i > 0 && !/\s/.test(text[i - 1])) {
+            end = i;
+        }
+        if (end !== undefined && text.slice(ends[ends.length - 1] || 0, end).trim()) {
+            ends.push(end);
+            i = end - 1;
+        }
+    }
+    const length = text.replace(/\s+$/, '').length;
+    if (length > (ends[ends.length - 1] || 0)) {
+        ends.push(length);
+    }
+    return ends;
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const NodeType = require('../../nodeType');
+const pronunciationLanguages = require('./pronunciation.languages');
+
+const languages = pronunciationLanguages.languages;
+const BRACKETS = { '(': ')', '[': ']', '（': '）', '［': '］' };
+const MAJOR_SEPARATOR = new RegExp(`[${pronunciationLanguages.majorSeparatorChars}]`);
+const MINOR_SEPARATOR = new RegExp(`[${pronunciationLanguages.minorSeparatorChars}]`);
+const SEPARATORS = pronunciationLanguages.majorSeparatorChars
+    + pronunciationLanguages.minorSeparatorChars;
+const LEADING_SEPARATORS = new RegExp(`^[\\s${SEPARATORS}]+`);
+const TRAILING_SEPARATORS = new RegExp(`[\\s${SEPARATORS}]+$`);
+
+/**
+ * Gets the rules for a language, including those for all languages.
+ * @param {?string} lang the language code (variants use the rules of their base language)
+ * @return {!Object} the element selectors and parenthetical expressions of the language
+ */
+function getRules(lang) {
+    const rules = [ languages['*'], languages[(lang || '').split('-')[0]] ].filter(r => r);
+    return {
+        elements: [].concat(...rules.map(r => r.elements || [])),
+        parentheticals: [].concat(...rules.map(r => r.parentheticals || []))
+    };
+}
+
+/**
+ * Checks whether the text of a parenthetical only consists of pronunciations, transliterations
+ * and native-script names. Each part between major separators has to match one of the
+ * expressions, either as a whole or in each of its parts between minor separators.
+ * @param {!string} text the text in the brackets
+ * @param {!RegExp[]} parentheticals the expressions of the language
+ * @return {!boolean} true if the parenthetical should be removed
+ */
+function isStripped(text, parentheticals) {
+    const matches = part => parentheticals.some(re => re.test(part.trim()));
+    return text.replace(LEADING_SEPARATORS, '').replace(TRAILING_SEPARATORS, '')
+    .split(MAJOR_SEPARATOR)
+    .every(part => matches(part) || part.split(MINOR_SEPARATOR).every(matches));
+}
+
+/**
+ * Finds the bracket closing the one at the given offset of a text node, among the following
+ * text of the node and its following siblings.
+ * @param {!Text} node the text node containing the opening bracket
+ * @param {!number} offset the offset of the opening bracket
+ * @return {?Object} the text node and offset of the closing bracket, and the text in between
+ */
+function findClosingBracket(node, offset) {
+    const open = node.data[offset];
+    const close = BRACKETS[open];
+    let depth = 0;
+    let text = '';
+    for (let current = node, i = offset + 1; current; current = current.nextSibling, i = 0) {
+        if (current.nodeType !== NodeType.TEXT_NODE) {
+            text += current.textContent;
+            continue;
+        }
+        for (; i < current.data.length; i++) {
+            if (current.data[i] === open) {
+                depth++;
+            } else if (current.data[i] === close && depth-- === 0) {
+                return { node: current, offset: i, text };
+            }
+            text += current.data[i];
+        }
+    }
+}
+
+/**
+ * Removes the content from one offset of a text node to an offset of a following sibling, along
+ * with the whitespace preceding it if it is followed by whitespace or punctuation.
+ * @param {!Text} startNode the text node to start at
+ * @param {!number} start the offset to start at
+ * @param {!Text} endNode the text node to end in
+ * @param {!number} end the offset after the last character removed
+ * @return {!number} the offset in the start node the removed content started at
+ */
+function removeRange(startNode, start, endNode, end) {
+    if (/\s/.test(startNode.data.charAt(start - 1)) && /^[\s,.;:،、，。]/.test(endNode.data.slice(end))) {
+        start--;
+    }
+    if (startNode === endNode) {
+        startNode.data = startNode.data.slice(0, start) + startNode.data.slice(end);
+        return start;
+    }
+    while (startNode.nextSibling !== endNode) {
+        startNode.parentNode.removeChild(startNode.nextSibling);
+    }
+    startNode.data = startNode.data.slice(0, start);
+    endNode.data = endNode.data.slice(end);
+    return start;
+}
+
+/**
+ * Removes the parentheticals among the child nodes of an element whose text matches one of the
+ * expressions, and trims separators left at the edges of other parentheticals.
+ * @param {!Element} element the element
+ * @param {!RegExp[]} parentheticals the expressions
+ */
+function stripParentheticals(element, parentheticals) {
+    Array.from(element.childNodes)
+    .filter(node => node.nodeType === NodeType.TEXT_NODE)
+    .forEach((node) => {
+        for (let i = 0; node.parentNode && i < node.data.length; i++) {
+            const closing = BRACKETS[node.data[i]] && findClosingBracket(node, i);
+            if (!closing) {
+                continue;
+            }
+            if (isStripped(closing.text, parentheticals)) {
+                i = removeRange(node, i, closing.node, closing.offset + 1) - 1;
+                continue;
+            }
+            const before = closing.node.data.slice(0, closing.offset);
+            if (TRAILING_SEPARATORS.test(before)) {
+                closing.node.data = before.replace(TRAILING_SEPARATORS, '')
+                    + closing.node.data.slice(closing.offset);
+            }
+            const after = node.data.slice(i + 1);
+            if (LEADING_SEPARATORS.test(after)) {
+                node.data = node.data.slice(0, i + 1) + after.replace(LEADING_SEPARATORS, '');
+            }
+        }
+    });
+}
+
+/**
+ * Strips pronunciations (IPA, audio links, respellings), transliterations and native-script
+ * names from a summary, following the rules for the language in pronunciation.languages.js.
+ * Brackets left empty are removed as well.
+ * @param {!Document} doc the lead section document
+ * @param {?Object} options the processing options; options.lang is the language code of the
+ * page, if known
+ */
+module.exports = (doc, options) => {
+    const rules = getRules(options && options.lang);
+    Array.from(doc.querySelectorAll(rules.elements.join(','))).forEach((element) => {
+        if (element.parentNode) {
+            element.parentNode.removeChild(element);
+        }
+    });
+    doc.body.normalize();
+    [ doc.body ].concat(Array.from(doc.body.querySelectorAll('*'))).forEach((element) => {
+        stripParentheticals(element, rules.parentheticals);
+    });
+};
+
+module.exports.testing = { getRules, isStripped };
@@ -0,0 +1,85 @@
+'use strict';
+
+const mUtil = require('../../mobile-util');
+const NodeType = require('../../nodeType');
+const segmentSentences = require('./segmentSentences');
+
+const ELLIPSIS = '…';
+
+/**
+ * Gets the offset at which to cut a text to the requested number of sentences and characters.
+ * Texts are cut at the end of a sentence where possible; if the first sentence is longer than
+ * the requested number of characters, it is cut at the last word boundary and marked as
+ * truncated.
+ * @param {!string} text plain text
+ * @param {!Object} options the maximum number of sentences and characters, if limited
+ * @param {?string} lang the language code of the text
+ * @return {!Object} the offset to cut at, and whether a sentence is cut
+ */
+function getCut(text, options, lang) {
+    const ends = segmentSentences(text, lang);
+    let offset = ends.length ? ends[ends.length - 1] : 0;
+    if (options.sentences && ends.length > options.sentences) {
+        offset = ends[options.sentences - 1];
+    }
+    if (options.chars && offset > options.chars) {
+        const fitting = ends.filter(end => end <= options.chars);
+        if (fitting.length) {
+            return { offset: fitting[fitting.length - 1], truncated: false };
+        }
+        const space = text.slice(0, options.chars + 1).search(/\s\S*$/);
+        return { offset: space > 0 ? space : options.chars, truncated: true };
+    }
+    return { offset, truncated: false };
+}
+
+/**
+ * Removes all content of a node after a number of characters of text.
+ * @param {!Node} node a DOM node
+ * @param {!number} remaining the number of characters to keep
+ * @return {!Object} the number of characters still to keep after the node, and the text node
+ * the content ends in, if the node contains it
+ */
+function truncateNode(node, remaining) {
+    let last;
+    Array.from(node.childNodes).forEach((child) => {
+        if (remaining <= 0) {
+            node.removeChild(child);
+        } else if (child.nodeType === NodeType.TEXT_NODE) {
+            if (child.data.length >= remaining) {
+                child.data = child.data.slice(0, remaining);
+                last = child;
+            }
+            remaining -= child.data.length;
+        } else {
+            const result = truncateNode(child, remaining);
+            remaining = result.remaining;
+            last = result.last || last;
+        }
+    });
+    return { remaining, last };
+}
+
+/**
+ * Truncates the extracts of a summary to a number of sentences and/or characters of text.
+ * @param {!Object} extracts the extract and extract_html of a summary
+ * @param {!Object} options the maximum number of sentences and characters, if limited
+ * @param {?string} lang the language code of the extracts
+ * @return {!Promise <Object {extract, extract_html}>} promise resolving to the truncated extracts
+ */
+module.exports = (extracts, options, lang) => {
+    return mUtil.createDocument(extracts.extract_html)
+    .then((doc) => {
+        const cut = getCut(doc.body.textContent, options, lang);
+        const last = truncateNode(doc.body, cut.offset).last;
+        if (cut.truncated && last) {
+            last.data += ELLIPSIS;
+        }
+        return {
+            extract: doc.body.textContent,
+            extract_html: doc.body.innerHTML
+        };
+    });
+};
+
+module.exports.testing = { getCut };
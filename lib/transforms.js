@@ -38,6 +38,7 @@ const head = require('./transformations/pcs/head');
 transforms.addCssLinks = head.addCssLinks;
 transforms.addMetaViewport = head.addMetaViewport;
 transforms.addPageLibJs = head.addPageLibJs;
+transforms.addMetaRedirectedFrom = head.addMetaRedirectedFrom;
 transforms.addRtlPageLibSupport = require('./transformations/pcs/addRtlPageLibSupport');
 transforms.addPageHeader = require('./transformations/pcs/addPageHeader');
 transforms.addSectionEditButtons = require('./transformations/pcs/addSectionEditButtons');
@@ -58,7 +59,10 @@ transforms.structureReferenceListContent = require('./transformations/references
 
 // summary
 transforms.sanitizeSummary = require('./transformations/summary/sanitizeSummary');
+transforms.segmentSentences = require('./transformations/summary/segmentSentences');
 transforms.stripGermanIPA = require('./transformations/summary/stripGermanIPA');
+transforms.stripPronunciations = require('./transformations/summary/stripPronunciations');
 transforms.summarize = require('./transformations/summary/summarize');
+transforms.truncateSummary = require('./transformations/summary/truncateSummary');
 
 module.exports = transforms;
@@ -116,9 +116,17 @@ function wrapRouteHandlers(route, app) {
             const origHandler = layer.handle;
             layer.handle = function(req, res, next) {
                 const startTime = Date.now();
-                BBPromise.try(() => origHandler(req, res, next))
+                let passedOn = false;
+                BBPromise.try(() => origHandler(req, res, (err) => {
+                    // the timing is reported by the handler which ends up serving the request
+                    passedOn = !err;
+                    next(err);
+                }))
                 .catch(next)
                 .finally(() => {
+                    if (passedOn) {
+                        return;
+                    }
                     let statusCode = parseInt(res.statusCode, 10) || 500;
                     if (statusCode < 100 || statusCode > 599) {
                         statusCode = 500;
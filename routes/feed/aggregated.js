@@ -0,0 +1,43 @@
+/**
+ * Aggregated feed content for a given date
+ */
+
+'use strict';
+
+const mUtil = require('../../lib/mobile-util');
+const sUtil = require('../../lib/util');
+const aggregated = require('../../lib/feed/aggregated');
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * GET {domain}/v1/feed/aggregated/{year}/{month}/{day}
+ * Gets the featured article, most-read articles, news, picture of the day and on-this-day
+ * selections for a given date, with the page summaries already merged in.
+ */
+router.get('/aggregated/:yyyy/:mm/:dd', (req, res) => {
+    return aggregated.promise(app, req)
+    .then((response) => {
+        res.status(200);
+        mUtil.setETag(res, response.meta.revision, response.meta.tid);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.unpublished);
+        res.json(response.payload).end();
+    });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+    return {
+        path: '/feed',
+        api_version: 1,
+        router
+    };
+};
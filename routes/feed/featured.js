@@ -6,6 +6,7 @@
 
 const mUtil = require('../../lib/mobile-util');
 const sUtil = require('../../lib/util');
+const hydrate = require('../../lib/feed/hydrate');
 const featured = require('../../lib/feed/featured');
 
 /**
@@ -24,6 +25,7 @@ let app;
  */
 router.get('/featured/:yyyy/:mm/:dd', (req, res) => {
     return featured.promise(app, req)
+        .then(response => hydrate.hydrateIfEnabled(app, req, response))
         .then((response) => {
             res.status(!response.payload ? 204 : 200);
             mUtil.setETag(res, response.meta && response.meta.etag);
@@ -2,6 +2,7 @@
 
 const sUtil = require('../../lib/util');
 const mUtil = require('../../lib/mobile-util');
+const hydrate = require('../../lib/feed/hydrate');
 const mostRead = require('../../lib/feed/most-read');
 
 /**
@@ -23,6 +24,7 @@ let app;
  */
 router.get('/most-read/:yyyy/:mm/:dd', (req, res) => {
     return mostRead.promise(app, req)
+    .then(response => hydrate.hydrateIfEnabled(app, req, response))
     .then((response) => {
         res.status(!response.payload ? 204 : 200);
         mUtil.setETag(res, response.meta.revision);
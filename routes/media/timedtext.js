@@ -0,0 +1,39 @@
+'use strict';
+
+const mUtil = require('../../lib/mobile-util');
+const sUtil = require('../../lib/util');
+const timedtext = require('../../lib/timedtext');
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * GET {domain}/v1/media/timedtext/{title}/{lang}
+ * Gets the timed text track of a video or audio file in the given language, converted to WebVTT
+ * if it is stored in another format. The ETag is set to the revision of the TimedText page.
+ */
+router.get('/timedtext/:title/:lang', (req, res) => {
+    return timedtext.requestTrack(app, req)
+    .then((track) => {
+        res.status(200);
+        mUtil.setETag(res, track.revision);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.timedText);
+        res.send(track.body).end();
+    });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+    return {
+        path: '/media',
+        api_version: 1,
+        router
+    };
+};
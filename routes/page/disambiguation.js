@@ -0,0 +1,65 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const conditional = require('../../lib/conditional-request');
+const disambiguation = require('../../lib/disambiguation');
+const mUtil = require('../../lib/mobile-util');
+const mwapi = require('../../lib/mwapi');
+const parsoid = require('../../lib/parsoid-access');
+const summary = require('../../lib/summary');
+const sUtil = require('../../lib/util');
+
+const HTTPError = sUtil.HTTPError;
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * GET {domain}/v1/page/disambiguation/{title}{/revision}{/tid}
+ * Gets the candidate pages listed on a disambiguation page, grouped by section.
+ */
+router.get('/disambiguation/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
+    return BBPromise.join(
+        parsoid.getParsoidHtml(app, req),
+        mwapi.getMetadataForSummary(app, req, mwapi.LEAD_IMAGE_S),
+        (html, meta) => {
+            if (!summary.isDisambiguationPage(meta)) {
+                throw new HTTPError({
+                    status: 404,
+                    type: 'not_found',
+                    title: 'Not a disambiguation page',
+                    detail: `${meta.normalizedtitle} is not a disambiguation page.`
+                });
+            }
+            const revTid = parsoid.getRevAndTidFromEtag(html.headers);
+            return mUtil.createDocument(html.body)
+            .then((doc) => {
+                res.status(200);
+                mUtil.setETag(res, revTid.revision, revTid.tid);
+                mUtil.setContentType(res, mUtil.CONTENT_TYPES.disambiguation);
+                mUtil.setLanguageHeaders(res, html.headers);
+                res.json({
+                    revision: revTid.revision,
+                    tid: revTid.tid,
+                    title: meta.normalizedtitle,
+                    candidates: disambiguation.extractCandidates(doc, req.params.domain)
+                }).end();
+            });
+        });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+    return {
+        path: '/page',
+        api_version: 1,
+        router
+    };
+};
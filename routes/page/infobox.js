@@ -0,0 +1,47 @@
+'use strict';
+
+const conditional = require('../../lib/conditional-request');
+const domUtil = require('../../lib/domUtil');
+const infobox = require('../../lib/infobox');
+const mUtil = require('../../lib/mobile-util');
+const parsoid = require('../../lib/parsoid-access');
+const sUtil = require('../../lib/util');
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * GET {domain}/v1/page/infobox/{title}{/revision}{/tid}
+ * Gets the infoboxes of a page as structured facts, for rendering a native "quick facts" card.
+ */
+router.get('/infobox/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
+    return parsoid.pageDocumentPromise(app, req, false)
+    .then((response) => {
+        res.status(200);
+        mUtil.setETag(res, response.meta.revision, response.meta.tid);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.infobox);
+        mUtil.setLanguageHeaders(res, response.meta._headers);
+        res.json({
+            revision: response.meta.revision,
+            tid: response.meta.tid,
+            title: domUtil.getParsoidLinkTitle(response.document).replace(/_/g, ' '),
+            infoboxes: infobox.extractInfoboxes(response.document, req.params.domain)
+        }).end();
+    });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+    return {
+        path: '/page',
+        api_version: 1,
+        router
+    };
+};
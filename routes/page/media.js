@@ -1,11 +1,13 @@
 'use strict';
 
 const BBPromise = require('bluebird');
+const conditional = require('../../lib/conditional-request');
 const mUtil = require('../../lib/mobile-util');
 const parsoid = require('../../lib/parsoid-access');
 const sUtil = require('../../lib/util');
 const mwapi = require('../../lib/mwapi');
 const lib = require('../../lib/media');
+const redirects = require('../../lib/redirects');
 const imageinfo = require('../../lib/imageinfo');
 
 const router = sUtil.router();
@@ -13,31 +15,32 @@ let app;
 
 /**
  * GET {domain}/v1/page/media/{title}{/revision}{/tid}
- * Gets the media items associated with the given page.
+ * Gets the media items associated with the given page, and the galleries they are part of. With
+ * redirect=true, redirects are followed.
  */
-router.get('/media/:title/:revision?/:tid?', (req, res) => {
+router.get('/media/:title/:revision?/:tid?',
+    redirects.resolveRedirect, conditional.ifNoneMatch, (req, res) => {
     return BBPromise.join(
         parsoid.getParsoidHtml(app, req),
         mwapi.getSiteInfo(app, req),
         (html, siteinfo) => {
             const revTid = parsoid.getRevAndTidFromEtag(html.headers);
-            const pageMediaList = lib.getMediaItemInfoFromPage(html.body);
-            if (!pageMediaList.length) {
-                res.send({ items: [] });
-                return;
-            }
-            const titles = mUtil.deduplicate(pageMediaList.filter(i => i.title).map(i => i.title));
-            return imageinfo.getMetadataFromApi(app, req, titles, siteinfo)
-            .then((apiResponse) => {
-                const result = lib.combineResponses(apiResponse, pageMediaList);
+            return lib.getMediaList(html.body,
+                titles => imageinfo.getMetadataFromApi(app, req, titles, siteinfo))
+            .then((pageMedia) => {
+                if (!pageMedia.items.length) {
+                    res.send(redirects.addRedirectedFrom(req, { items: [], galleries: [] }));
+                    return;
+                }
                 mUtil.setETag(res, revTid.revision, revTid.tid);
                 mUtil.setContentType(res, mUtil.CONTENT_TYPES.media);
                 mUtil.setLanguageHeaders(res, html.headers);
-                res.send({
+                res.send(redirects.addRedirectedFrom(req, {
                     revision: revTid.revision,
                     tid: revTid.tid,
-                    items: result
-                });
+                    items: pageMedia.items,
+                    galleries: pageMedia.galleries
+                }));
             });
         });
 });
@@ -1,10 +1,13 @@
 'use strict';
 
 const BBPromise = require('bluebird');
+const conditional = require('../../lib/conditional-request');
 const sUtil = require('../../lib/util');
 const mUtil = require('../../lib/mobile-util');
 const parsoid = require('../../lib/parsoid-access');
 const mwapi = require('../../lib/mwapi');
+const processingProfiles = require('../../lib/processing-profiles');
+const redirects = require('../../lib/redirects');
 const lib = require('../../lib/metadata');
 
 /**
@@ -19,23 +22,31 @@ let app;
 
 /**
  * GET {domain}/v1/page/metadata/{title}{/revision}{/tid}
- * Gets extended metadata for a given wiki page.
+ * Gets extended metadata for a given wiki page. With langlinks_order=accept-language, the
+ * language links in the languages of the Accept-Language header come first. With redirect=true,
+ * redirects are followed.
  */
-router.get('/metadata/:title/:revision?/:tid?', (req, res) => {
+router.get('/metadata/:title/:revision?/:tid?',
+    redirects.resolveRedirect, lib.selectLangLinksOrder, conditional.ifNoneMatch, (req, res) => {
+    const metaPromise = mwapi.getMetadataForMetadata(app, req);
     return BBPromise.join(
         parsoid.getParsoidHtml(app, req),
-        mwapi.getMetadataForMetadata(app, req),
+        metaPromise,
+        // the badges only depend on the Wikidata item, so they are requested alongside Parsoid
+        metaPromise.then(meta => mwapi.getSitelinkBadges(app, req, meta.wikibase_item)),
         mwapi.getSiteInfo(app, req),
-        (html, meta, siteinfo) => {
+        (html, meta, badges, siteinfo) => {
             const revTid = parsoid.getRevAndTidFromEtag(html.headers);
+            meta.badges = badges;
             return lib.buildMetadata(req, html, meta, siteinfo,
-                app.conf.processing_scripts.metadata)
+                app.conf.processing_scripts.metadata,
+                processingProfiles.getScript(app, req, 'mobile-html'))
             .then((metadata) => {
                 res.status(200);
-                mUtil.setETag(res, revTid.revision, revTid.tid);
+                mUtil.setETag(res, revTid.revision, revTid.tid, req.etagSuffix);
                 mUtil.setContentType(res, mUtil.CONTENT_TYPES.metadata);
                 mUtil.setLanguageHeaders(res, html.headers);
-                res.json(metadata);
+                res.json(redirects.addRedirectedFrom(req, metadata));
             });
         });
 });
@@ -1,11 +1,15 @@
 'use strict';
 
 const BBPromise = require('bluebird');
+const conditional = require('../../lib/conditional-request');
 const domUtil = require('../../lib/domUtil');
 const mwapi = require('../../lib/mwapi');
 const mUtil = require('../../lib/mobile-util');
+const offline = require('../../lib/offline');
 const parsoidApi = require('../../lib/parsoid-access');
 const preprocessParsoidHtml = require('../../lib/processing');
+const processingProfiles = require('../../lib/processing-profiles');
+const redirects = require('../../lib/redirects');
 const sUtil = require('../../lib/util');
 const transforms = require('../../lib/transforms');
 
@@ -37,12 +41,12 @@ let app;
  * Gets in HTML. This is based on Parsoid with some minor modifications more
  * suitable for the reading use cases.
  */
-router.get('/mobile-compat-html/:title/:revision?/:tid?', (req, res) => {
+router.get('/mobile-compat-html/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
     return parsoidApi.pageDocumentPromise(app, req, false)
     .then((response) => {
         res.status(200);
         mUtil.setContentType(res, mUtil.CONTENT_TYPES.mobileHtml);
-        mUtil.setETag(res, response.meta.revision);
+        mUtil.setETag(res, response.meta.revision, response.meta.tid);
         mUtil.setLanguageHeaders(res, response.meta._headers);
         mUtil.setContentSecurityPolicy(res, HTML_CSP);
         // Don't poison the client response with the internal _headers object
@@ -52,27 +56,49 @@ router.get('/mobile-compat-html/:title/:revision?/:tid?', (req, res) => {
 });
 
 /**
- * GET {domain}/v1/page/mobile-html/{title}{/revision}{/tid}
- * Gets page content in HTML. This is a more optimized for direct consumption by reading
- * clients.
+ * Builds the mobile-html document of a page.
+ * @param {!Object} req the request object
+ * @param {?Object} [parsoidResponse] the Parsoid response to build the document from, if it was
+ * already fetched
+ * @return {!Promise} a promise resolving to an object with the processed document as
+ * processedParsoidResponse, and the Parsoid and MW API responses it was built from
  */
-router.get('/mobile-html/:title/:revision?/:tid?', (req, res) => {
+function buildMobileHtml(req, parsoidResponse) {
     return BBPromise.props({
-        parsoid: parsoidApi.pageDocumentPromise(app, req, true),
+        parsoid: parsoidResponse
+            ? parsoidApi.pageDocumentFromResponse(app, req, parsoidResponse, true)
+            : parsoidApi.pageDocumentPromise(app, req, true),
         mw: mwapi.getMetadataForMobileHtml(app, req)
     }).then((response) => {
         return BBPromise.props({
             // run another processing script after we've retrieved the metadata response from MW API
             processedParsoidResponse: preprocessParsoidHtml(response.parsoid.document,
-                app.conf.processing_scripts['mobile-html-post-meta'],
+                processingProfiles.getScript(app, req, 'mobile-html-post-meta'),
                 { mw: response.mw, parsoid: response.parsoid }),
             parsoid: BBPromise.resolve(response.parsoid),
             mw: BBPromise.resolve(response.mw)
         });
-    }).then((response) => {
+    });
+}
+
+/**
+ * GET {domain}/v1/page/mobile-html/{title}{/revision}{/tid}
+ * Gets page content in HTML. This is a more optimized for direct consumption by reading
+ * clients. With redirect=true, redirects are followed, and the redirect is described by meta
+ * elements in the head.
+ */
+router.get('/mobile-html/:title/:revision?/:tid?',
+    processingProfiles.selectProfile, redirects.resolveRedirect, conditional.ifNoneMatch,
+    (req, res) => {
+    return buildMobileHtml(req).then((response) => {
+        if (req.redirectedFrom) {
+            transforms.addMetaRedirectedFrom(response.processedParsoidResponse,
+                req.redirectedFrom);
+        }
         res.status(200);
         mUtil.setContentType(res, mUtil.CONTENT_TYPES.mobileHtml);
-        mUtil.setETag(res, response.parsoid.meta.revision);
+        mUtil.setETag(res, response.parsoid.meta.revision, response.parsoid.meta.tid,
+            req.etagSuffix);
         mUtil.setLanguageHeaders(res, response.parsoid.meta._headers);
         mUtil.setContentSecurityPolicy(res, HTML_CSP);
         // Don't poison the client response with the internal _headers object
@@ -82,6 +108,31 @@ router.get('/mobile-html/:title/:revision?/:tid?', (req, res) => {
     });
 });
 
+/**
+ * GET {domain}/v1/page/mobile-html-offline/{title}{/revision}{/tid}
+ * Gets a multipart/mixed bundle for reading a page offline: the mobile-html document with links
+ * to the CSS and JavaScript files in the bundle, those files, a manifest of the media files used
+ * on the page and the references.
+ */
+router.get('/mobile-html-offline/:title/:revision?/:tid?',
+    conditional.ifNoneMatch, (req, res) => {
+    // the document, media and references are all built from one Parsoid response, so that the
+    // bundle is of a single revision even if the page is edited meanwhile
+    return parsoidApi.getParsoidHtml(app, req).then((parsoidResponse) => {
+        return buildMobileHtml(req, parsoidResponse).then((response) => {
+            return offline.buildBundle(app, req, response.processedParsoidResponse,
+                parsoidResponse);
+        }).then((bundle) => {
+            const revTid = parsoidApi.getRevAndTidFromEtag(parsoidResponse.headers);
+            res.status(200);
+            res.type(`multipart/mixed; boundary="${bundle.boundary}"`);
+            mUtil.setETag(res, revTid.revision, revTid.tid);
+            mUtil.setLanguageHeaders(res, parsoidResponse.headers);
+            res.send(bundle.body).end();
+        });
+    });
+});
+
 module.exports = function(appObj) {
     app = appObj;
     return {
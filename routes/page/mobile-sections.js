@@ -4,6 +4,7 @@ const BBPromise = require('bluebird');
 const domino = require('domino');
 const mwapi = require('../../lib/mwapi');
 const apiUtil = require('../../lib/api-util');
+const conditional = require('../../lib/conditional-request');
 const mUtil = require('../../lib/mobile-util');
 const parsoid = require('../../lib/parsoid-access');
 const sUtil = require('../../lib/util');
@@ -163,7 +164,7 @@ function handleUserPagePromise(req, res) {
         formatversion: '2',
         meta: 'globaluserinfo',
         guiuser: req.params.title.split(':')[1]
-    })
+    }, req)
     .then((resp) => {
         const body = resp.body;
         if (body.query && body.query.globaluserinfo) {
@@ -190,7 +191,7 @@ function handleFilePagePromise(req, res) {
         iiprop: 'url',
         iiurlwidth: mwapi.LEAD_IMAGE_L,
         iirurlheight: mwapi.LEAD_IMAGE_L * 0.75
-    })
+    }, req)
     .then((resp) => {
         const body = resp.body;
         if (body.query && body.query.pages && body.query.pages.length) {
@@ -296,7 +297,7 @@ function buildLeadResponse(app, req, res) {
  * GET {domain}/v1/page/mobile-sections/{title}{/revision}{/tid}
  * Gets the mobile app version of a given wiki page.
  */
-router.get('/mobile-sections/:title/:revision?/:tid?', (req, res) => {
+router.get('/mobile-sections/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
     return buildAllResponse(app, req, res);
 });
 
@@ -304,7 +305,7 @@ router.get('/mobile-sections/:title/:revision?/:tid?', (req, res) => {
  * GET {domain}/v1/page/mobile-sections-lead/{title}{/revision}{/tid}
  * Gets the lead section for the mobile app version of a given wiki page.
  */
-router.get('/mobile-sections-lead/:title/:revision?/:tid?', (req, res) => {
+router.get('/mobile-sections-lead/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
     return buildLeadResponse(app, req, res);
 });
 
@@ -312,7 +313,8 @@ router.get('/mobile-sections-lead/:title/:revision?/:tid?', (req, res) => {
  * GET {domain}/v1/page/mobile-sections-remaining/{title}{/revision}{/tid}
  * Gets the remaining sections for the mobile app version of a given wiki page.
  */
-router.get('/mobile-sections-remaining/:title/:revision?/:tid?', (req, res) => {
+router.get('/mobile-sections-remaining/:title/:revision?/:tid?',
+    conditional.ifNoneMatch, (req, res) => {
     return BBPromise.props({
         page: parsoid.pageJsonPromise(app, req)
     }).then((response) => {
@@ -2,6 +2,7 @@
 
 const sUtil = require('../../lib/util');
 const mUtil = require('../../lib/mobile-util');
+const hydrate = require('../../lib/feed/hydrate');
 const news = require('../../lib/feed/news');
 
 /**
@@ -22,6 +23,7 @@ let app;
  */
 router.get('/news', (req, res) => {
     return news.promise(app, req)
+    .then(response => hydrate.hydrateIfEnabled(app, req, response))
     .then((response) => {
         res.status(!response.payload ? 204 : 200);
         mUtil.setETag(res, response.meta && response.meta.etag);
@@ -1,5 +1,6 @@
 'use strict';
 
+const conditional = require('../../lib/conditional-request');
 const mUtil = require('../../lib/mobile-util');
 const parsoid = require('../../lib/parsoid-access');
 const sUtil = require('../../lib/util');
@@ -30,11 +31,11 @@ function buildReferences(meta, document, logger) {
  * GET {domain}/v1/page/references/{title}{/revision}{/tid}
  * Gets any sections which are part of a reference sections for a given wiki page.
  */
-router.get('/references/:title/:revision?/:tid?', (req, res) => {
+router.get('/references/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
     return parsoid.pageHtmlPromiseForReferences(app, req)
     .then((response) => {
         res.status(200);
-        mUtil.setETag(res, response.meta.revision);
+        mUtil.setETag(res, response.meta.revision, response.meta.tid);
         mUtil.setContentType(res, mUtil.CONTENT_TYPES.references);
         mUtil.setLanguageHeaders(res, response.meta._headers);
         // Don't poison the client response with the internal _headers object
@@ -0,0 +1,82 @@
+'use strict';
+
+const conditional = require('../../lib/conditional-request');
+const mUtil = require('../../lib/mobile-util');
+const pageSections = require('../../lib/sections/pageSections');
+const parsoid = require('../../lib/parsoid-access');
+const sUtil = require('../../lib/util');
+
+const HTTPError = sUtil.HTTPError;
+
+/**
+ * The main router object
+ */
+const router = sUtil.router();
+
+/**
+ * The main application object reported when this module is require()d
+ */
+let app;
+
+/**
+ * Gets the section requested through the section query parameter.
+ * @param {!Object} req the request object
+ * @return {?number} the section id, if given
+ * @throws {HTTPError} if the section id is not a non-negative integer
+ */
+function getRequestedSection(req) {
+    const section = req.query.section;
+    if (section === undefined) {
+        return;
+    }
+    if (!/^\d+$/.test(section)) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Invalid section',
+            detail: 'The section parameter must be a non-negative integer.'
+        });
+    }
+    return parseInt(section, 10);
+}
+
+/**
+ * GET {domain}/v1/page/sections/{title}{/revision}{/tid}
+ * Lists the sections of a page, for rendering a table of contents. With the section query
+ * parameter, gets a single section including its processed HTML.
+ */
+router.get('/sections/:title/:revision?/:tid?', conditional.ifNoneMatch, (req, res) => {
+    const requestedSection = getRequestedSection(req);
+    return parsoid.pageDocumentPromise(app, req, true)
+    .then((response) => {
+        const sections = pageSections.listSections(response.document);
+        const revTid = { revision: response.meta.revision, tid: response.meta.tid };
+        let body = Object.assign({}, revTid, { sections });
+        if (requestedSection !== undefined) {
+            const section = pageSections.getSection(sections, requestedSection);
+            if (!section) {
+                throw new HTTPError({
+                    status: 404,
+                    type: 'not_found',
+                    title: 'Section not found',
+                    detail: `The page has no section ${requestedSection}.`
+                });
+            }
+            body = Object.assign({}, revTid, section);
+        }
+        res.status(200);
+        mUtil.setETag(res, response.meta.revision, response.meta.tid);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.sections);
+        mUtil.setLanguageHeaders(res, response.meta._headers);
+        res.json(body).end();
+    });
+});
+
+module.exports = function(appObj) {
+    app = appObj;
+    return {
+        path: '/page',
+        api_version: 1,
+        router
+    };
+};
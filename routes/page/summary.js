@@ -2,11 +2,16 @@
 
 const lib = require('../../lib/summary');
 const BBPromise = require('bluebird');
+const conditional = require('../../lib/conditional-request');
 const mwapi = require('../../lib/mwapi');
 const mUtil = require('../../lib/mobile-util');
 const parsoid = require('../../lib/parsoid-access');
+const redirects = require('../../lib/redirects');
 const sUtil = require('../../lib/util');
 
+const HTTPError = sUtil.HTTPError;
+const MAX_TITLES = mwapi.API_QUERY_MAX_TITLES;
+
 /**
  * The main router object
  */
@@ -19,9 +24,12 @@ let app;
 
 /**
  * GET {domain}/v1/page/summary/{title}{/revision?}{/tid?}
- * Extracts a summary of a given wiki page limited to one paragraph of text
+ * Extracts a summary of a given wiki page limited to one paragraph of text, or to the number of
+ * sentences and characters given in the sentences and chars query parameters. With redirect=true,
+ * redirects are followed.
  */
-router.get('/summary/:title/:revision?/:tid?', (req, res) => {
+router.get('/summary/:title/:revision?/:tid?',
+    lib.selectExtractOptions, redirects.resolveRedirect, conditional.ifNoneMatch, (req, res) => {
     return BBPromise.join(
         parsoid.getParsoidHtml(app, req),
         mwapi.getMetadataForSummary(app, req, mwapi.LEAD_IMAGE_S),
@@ -29,21 +37,75 @@ router.get('/summary/:title/:revision?/:tid?', (req, res) => {
         (html, meta, siteinfo) => {
             const revTid = parsoid.getRevAndTidFromEtag(html.headers);
             return lib.buildSummary(req.params.domain, req.params.title,
-                html.body, revTid, meta, siteinfo, app.conf.processing_scripts.summary)
+                html.body, revTid, meta, siteinfo, app.conf.processing_scripts.summary,
+                req.extractOptions)
             .then((summary) => {
                 res.status(summary.code);
                 if (summary.code === 200) {
                     delete summary.code;
-                    mUtil.setETag(res, revTid.revision, revTid.tid);
+                    mUtil.setETag(res, revTid.revision, revTid.tid, req.etagSuffix);
                     mUtil.setContentType(res, mUtil.CONTENT_TYPES.summary);
                     mUtil.setLanguageHeaders(res, html.headers);
-                    res.send(summary);
+                    res.send(redirects.addRedirectedFrom(req, summary));
                 }
                 res.end();
             });
         });
 });
 
+/**
+ * Gets the list of titles requested from the summaries endpoint, given either as an array or as
+ * a string of titles separated by '|'.
+ * @param {!Object} req the request object
+ * @return {!string[]} the requested titles
+ */
+function getRequestedTitles(req) {
+    const titles = req.method === 'POST' ? req.body && req.body.titles : req.query.titles;
+    const result = (Array.isArray(titles) ? titles : `${titles || ''}`.split('|'))
+        .filter(title => title);
+    if (!result.length) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'No titles given',
+            detail: 'Please provide a list of titles in the titles parameter.'
+        });
+    }
+    if (result.length > MAX_TITLES) {
+        throw new HTTPError({
+            status: 400,
+            type: 'bad_request',
+            title: 'Too many titles',
+            detail: `At most ${MAX_TITLES} titles can be requested at once.`
+        });
+    }
+    return result;
+}
+
+/**
+ * Responds with summaries for the requested titles.
+ * @param {!Object} req the request object
+ * @param {!Object} res the response object
+ * @return {!Promise} a promise resolving when the response has been sent
+ */
+function respondWithSummaries(req, res) {
+    return lib.requestSummaries(app, req, getRequestedTitles(req))
+    .then((summaries) => {
+        res.status(200);
+        mUtil.setContentType(res, mUtil.CONTENT_TYPES.unpublished);
+        res.json(summaries).end();
+    });
+}
+
+/**
+ * GET {domain}/v1/page/summaries?titles={title1}|{title2}|...
+ * POST {domain}/v1/page/summaries with a titles array (or '|'-separated string) in the body
+ * Gets the summaries of up to 50 pages at once, keyed by the requested titles. Titles of missing
+ * or invalid pages map to an object with an error property instead of a summary.
+ */
+router.get('/summaries', respondWithSummaries);
+router.post('/summaries', respondWithSummaries);
+
 module.exports = function(appObj) {
     app = appObj;
     return {
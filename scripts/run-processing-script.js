@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+'use strict';
+
+/*
+  Validates a processing script and runs it over a local Parsoid HTML file, reporting the time
+  taken by each step and how much it changed the size of the DOM.
+
+  Arguments:
+  * the name of the processing script (a file name in the processing folder without the .yaml
+    extension)
+  * the path of a Parsoid HTML file
+  * optionally, the path of a file to write the processed HTML to
+
+  Example:
+  $ ./scripts/run-processing-script.js mobile-html test/fixtures/Dog.html
+
+  Steps which need more input than the page HTML (e.g., addPageHeader, which needs MW API
+  metadata) fail and are reported as such.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const domino = require('domino');
+const processing = require('../lib/processing');
+
+const PROCESSING_DIR = path.join(__dirname, '../processing');
+
+const args = process.argv.slice(2);
+if (args.length < 2) {
+    process.stderr.write('Usage: run-processing-script.js SCRIPT_NAME HTML_FILE [OUTPUT_FILE]\n');
+    process.exit(1);
+}
+const scriptName = args[0];
+const htmlFile = args[1];
+const outputFile = args[2];
+
+const stepLabel = (step) => {
+    const transform = typeof step === 'string' ? step : Object.keys(step)[0];
+    return transform === 'optional' ? `${stepLabel(step.optional)} (optional)` : transform;
+};
+
+const domSize = doc => ({
+    elements: doc.getElementsByTagName('*').length,
+    chars: doc.documentElement.outerHTML.length
+});
+
+const formatDelta = delta => (delta > 0 ? `+${delta}` : `${delta}`);
+
+const printRow = (columns) => {
+    process.stdout.write(`${columns.join('\t')}\n`);
+};
+
+const script = yaml.safeLoad(fs.readFileSync(path.join(PROCESSING_DIR, `${scriptName}.yaml`)));
+const errors = processing.validate(script);
+if (errors.length) {
+    process.stderr.write(`Invalid processing script ${scriptName}:\n${errors.join('\n')}\n`);
+    process.exit(1);
+}
+
+const doc = domino.createDocument(fs.readFileSync(htmlFile, 'utf8'));
+const initialSize = domSize(doc);
+let totalMs = 0;
+let failures = 0;
+
+printRow(['step', 'transform', 'ms', 'elements', 'chars', 'result']);
+script.forEach((step, i) => {
+    const before = domSize(doc);
+    const start = process.hrtime();
+    let result = 'ok';
+    try {
+        processing.runStep(doc, step, {});
+    } catch (e) {
+        result = `failed: ${e.message}`;
+        failures++;
+    }
+    const elapsed = process.hrtime(start);
+    const ms = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+    totalMs += ms;
+    const after = domSize(doc);
+    printRow([
+        i + 1,
+        stepLabel(step),
+        ms.toFixed(2),
+        formatDelta(after.elements - before.elements),
+        formatDelta(after.chars - before.chars),
+        result
+    ]);
+});
+
+const finalSize = domSize(doc);
+printRow([
+    'total',
+    '',
+    totalMs.toFixed(2),
+    `${initialSize.elements} -> ${finalSize.elements}`,
+    `${initialSize.chars} -> ${finalSize.chars}`,
+    failures ? `${failures} failed` : 'ok'
+]);
+
+if (outputFile) {
+    fs.writeFileSync(outputFile, doc.outerHTML);
+}
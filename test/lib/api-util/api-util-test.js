@@ -46,4 +46,22 @@ describe('lib:apiUtil', () => {
             assert.deepEqual(result[4], 4);
         });
     });
+
+    it('mwApiCacheKey does not depend on the order of the query parameters', () => {
+        const key = api.mwApiCacheKey('en.wikipedia.org', { action: 'query', titles: 'Foo' }, '1');
+        assert.deepEqual(key,
+            api.mwApiCacheKey('en.wikipedia.org', { titles: 'Foo', action: 'query' }, '1'));
+        assert.notDeepEqual(key,
+            api.mwApiCacheKey('de.wikipedia.org', { action: 'query', titles: 'Foo' }, '1'));
+        assert.notDeepEqual(key,
+            api.mwApiCacheKey('en.wikipedia.org', { action: 'query', titles: 'Foo' }, '2'));
+    });
+
+    it('getQueryRevision only finds revisions for queries pinned to one', () => {
+        const query = { action: 'query', titles: 'Foo' };
+        assert.deepEqual(api.getQueryRevision(query), undefined);
+        assert.deepEqual(api.getQueryRevision(query, { params: { title: 'Foo' } }), undefined);
+        assert.deepEqual(api.getQueryRevision(query, { params: { revision: '123' } }), '123');
+        assert.deepEqual(api.getQueryRevision({ action: 'query', revids: 456 }), '456');
+    });
 });
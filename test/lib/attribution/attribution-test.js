@@ -0,0 +1,121 @@
+'use strict';
+
+const attribution = require('../../../lib/attribution');
+const assert = require('../../utils/assert');
+
+const testing = attribution.testing;
+
+const FILE_PAGE = 'https://commons.wikimedia.org/wiki/File:Foo.jpg';
+
+describe('lib:attribution', () => {
+    describe('getSpdxId', () => {
+        it('normalises license codes and short names', () => {
+            assert.deepEqual(testing.getSpdxId('cc-by-sa-4.0'), 'CC-BY-SA-4.0');
+            assert.deepEqual(testing.getSpdxId('CC BY-SA 3.0 de'), 'CC-BY-SA-3.0-DE');
+            assert.deepEqual(testing.getSpdxId('CC BY 2.0'), 'CC-BY-2.0');
+            assert.deepEqual(testing.getSpdxId('cc-zero'), 'CC0-1.0');
+            assert.deepEqual(testing.getSpdxId('GFDL'), 'GFDL-1.2-or-later');
+            assert.deepEqual(testing.getSpdxId('pd'), 'LicenseRef-Public-Domain');
+            assert.deepEqual(testing.getSpdxId('Public domain'), 'LicenseRef-Public-Domain');
+        });
+
+        it('leaves unknown licenses out', () => {
+            assert.deepEqual(testing.getSpdxId('cc-by-sa-3.0-migrated'), undefined);
+            assert.deepEqual(testing.getSpdxId('attribution'), undefined);
+            assert.deepEqual(testing.getSpdxId(undefined), undefined);
+        });
+    });
+
+    describe('getLicenseUrl', () => {
+        it('builds the URLs of Creative Commons licenses', () => {
+            assert.deepEqual(testing.getLicenseUrl('CC-BY-SA-3.0-DE'),
+                'https://creativecommons.org/licenses/by-sa/3.0/de/');
+            assert.deepEqual(testing.getLicenseUrl('CC0-1.0'),
+                'https://creativecommons.org/publicdomain/zero/1.0/');
+            assert.deepEqual(testing.getLicenseUrl('LicenseRef-Public-Domain'), undefined);
+        });
+    });
+
+    describe('buildLicense', () => {
+        it('adds the identifier and the requirements of the license', () => {
+            assert.deepEqual(attribution.buildLicense({
+                type: 'CC BY-SA 4.0',
+                code: 'cc-by-sa-4.0',
+                url: 'https://creativecommons.org/licenses/by-sa/4.0'
+            }), {
+                type: 'CC BY-SA 4.0',
+                code: 'cc-by-sa-4.0',
+                url: 'https://creativecommons.org/licenses/by-sa/4.0',
+                spdx: 'CC-BY-SA-4.0',
+                attribution_required: true,
+                share_alike: true
+            });
+        });
+
+        it('prefers the AttributionRequired extmetadata and fills in missing URLs', () => {
+            assert.deepEqual(attribution.buildLicense({ type: 'CC BY 4.0' },
+                { html: 'false', text: 'false' }), {
+                type: 'CC BY 4.0',
+                url: 'https://creativecommons.org/licenses/by/4.0/',
+                spdx: 'CC-BY-4.0',
+                attribution_required: false,
+                share_alike: false
+            });
+        });
+
+        it('doesn\'t guess the requirements of unknown licenses', () => {
+            const license = attribution.buildLicense({ type: 'Attribution', code: 'attribution' });
+            assert.deepEqual(license.spdx, undefined);
+            assert.deepEqual(license.attribution_required, undefined);
+            assert.deepEqual(license.share_alike, undefined);
+        });
+    });
+
+    describe('buildAttribution', () => {
+        const license = attribution.buildLicense({ type: 'CC BY-SA 4.0', code: 'cc-by-sa-4.0' });
+        const artist = {
+            html: '<a href="//commons.wikimedia.org/wiki/User:Foo" title="User:Foo">Foo</a>',
+            text: 'Foo'
+        };
+
+        it('credits the title, author, license and source', () => {
+            assert.deepEqual(attribution.buildAttribution({
+                title: 'Foo & bar.jpg',
+                file_page: FILE_PAGE,
+                artist
+            }, license, 'en'), {
+                html: `<a href="${FILE_PAGE}">Foo &amp; bar.jpg</a> by ${artist.html}, `
+                    + '<a href="https://creativecommons.org/licenses/by-sa/4.0/" rel="license">'
+                    + 'CC BY-SA 4.0</a>, via Wikimedia Commons',
+                text: 'Foo & bar.jpg by Foo, '
+                    + 'CC BY-SA 4.0 (https://creativecommons.org/licenses/by-sa/4.0/), '
+                    + `via Wikimedia Commons (${FILE_PAGE})`,
+                lang: 'en'
+            });
+        });
+
+        it('is localised, falling back to the base language and English', () => {
+            const file = { title: 'Foo.jpg', file_page: FILE_PAGE };
+            assert.deepEqual(attribution.buildAttribution(file, license, 'de').text,
+                'Foo.jpg, CC BY-SA 4.0 (https://creativecommons.org/licenses/by-sa/4.0/), '
+                + `über Wikimedia Commons (${FILE_PAGE})`);
+            assert.deepEqual(testing.getTemplateLang('pt-br'), 'pt');
+            assert.deepEqual(testing.getTemplateLang('xx'), 'en');
+            assert.deepEqual(testing.getTemplateLang(undefined), 'en');
+        });
+
+        it('names the wiki hosting local files', () => {
+            const result = attribution.buildAttribution({
+                title: 'Foo.jpg',
+                file_page: 'https://en.wikipedia.org/wiki/File:Foo.jpg',
+                artist
+            }, license, 'en');
+            assert.ok(result.text.includes('via en.wikipedia.org'));
+        });
+
+        it('isn\'t built for unknown licenses', () => {
+            assert.deepEqual(attribution.buildAttribution({ title: 'Foo.jpg', file_page: FILE_PAGE },
+                attribution.buildLicense({}), 'en'), undefined);
+        });
+    });
+});
@@ -0,0 +1,95 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const assert = require('../../utils/assert');
+const parsoid = require('../../../lib/parsoid-access');
+const lib = require('../../../lib/conditional-request');
+
+const unit = lib.testing;
+
+describe('lib:conditional-request', () => {
+    describe('parseIfNoneMatch', () => {
+        it('handles lists of strong and weak etags', () => {
+            assert.deepEqual(unit.parseIfNoneMatch('"123/abc", W/"456/def"'), [ '123/abc', '456/def' ]);
+        });
+
+        it('handles missing headers', () => {
+            assert.deepEqual(unit.parseIfNoneMatch(undefined), []);
+        });
+    });
+
+    describe('matches', () => {
+        it('compares revision and tid', () => {
+            assert.ok(unit.matches([ '123/abc' ], { revision: '123', tid: 'abc' }));
+            assert.ok(!unit.matches([ '123/abc' ], { revision: '123', tid: 'def' }));
+        });
+
+        it('includes the processing profile', () => {
+            assert.ok(unit.matches([ '123/abc/lite' ], { revision: '123', tid: 'abc' }, 'lite'));
+            assert.ok(!unit.matches([ '123/abc' ], { revision: '123', tid: 'abc' }, 'lite'));
+            assert.ok(!unit.matches([ '123/abc/lite' ], { revision: '123', tid: 'abc' }));
+        });
+
+        it('matches any known revision and tid against *', () => {
+            assert.ok(unit.matches([ '*' ], { revision: '123', tid: 'abc' }));
+            assert.ok(!unit.matches([ '*' ], { revision: undefined, tid: undefined }));
+        });
+    });
+
+    describe('ifNoneMatch', () => {
+        let res;
+        let next;
+
+        function request(headers, params) {
+            return {
+                app: {},
+                headers,
+                params: Object.assign({ domain: 'en.wikipedia.org', title: 'Foo' }, params)
+            };
+        }
+
+        beforeEach(() => {
+            res = { status: sinon.stub(), set: sinon.stub(), end: sinon.stub() };
+            next = sinon.stub();
+            sinon.stub(parsoid, 'getParsoidHtml')
+            .returns(BBPromise.resolve({ headers: { etag: '"123/abc"' } }));
+        });
+
+        afterEach(() => {
+            parsoid.getParsoidHtml.restore();
+        });
+
+        it('passes on unconditional requests', () => {
+            lib.ifNoneMatch(request({}), res, next);
+            assert.ok(next.calledOnce);
+            assert.ok(!parsoid.getParsoidHtml.called);
+        });
+
+        it('responds with 304 for a matching requested revision and tid', () => {
+            return lib.ifNoneMatch(request({ 'if-none-match': 'W/"1/x"' }, { revision: '1', tid: 'x' }), res, next)
+            .then(() => {
+                assert.ok(!next.called);
+                assert.ok(!parsoid.getParsoidHtml.called);
+                assert.ok(res.status.calledWith(304));
+                assert.ok(res.set.calledWith('etag', '"1/x"'));
+            });
+        });
+
+        it('responds with 304 if the latest content matches', () => {
+            return lib.ifNoneMatch(request({ 'if-none-match': '"123/abc"' }), res, next)
+            .then(() => {
+                assert.ok(!next.called);
+                assert.ok(res.status.calledWith(304));
+            });
+        });
+
+        it('passes on requests if the latest content has changed', () => {
+            return lib.ifNoneMatch(request({ 'if-none-match': '"122/abc"' }), res, next)
+            .then(() => {
+                assert.ok(next.calledOnce);
+                assert.ok(!res.status.called);
+            });
+        });
+    });
+});
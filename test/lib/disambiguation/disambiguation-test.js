@@ -0,0 +1,48 @@
+'use strict';
+
+const domino = require('domino');
+const assert = require('../../utils/assert');
+const disambiguation = require('../../../lib/disambiguation');
+
+const html = '<section data-mw-section-id="0"><p><b>Mercury</b> may refer to:</p>'
+    + '<ul><li><a rel="mw:WikiLink" href="./Mercury_(planet)">Mercury (planet)</a>, the '
+    + 'closest planet to the Sun<sup class="mw-ref">[1]</sup></li>'
+    + '<li>A <a rel="mw:WikiLink" href="./Red_link" class="new">red link</a> only</li></ul>'
+    + '</section><section data-mw-section-id="1"><h2 id="Music">Music</h2>'
+    + '<ul><li><a rel="mw:WikiLink" href="./Mercury_Rev">Mercury Rev</a>, a band<ul>'
+    + '<li><a rel="mw:WikiLink" href="./Mercury_Rev_discography">its discography</a></li>'
+    + '</ul></li><li><a rel="mw:WikiLink" href="./Caf%C3%A9_Mercury">Café Mercury</a></li></ul>'
+    + '<table class="navbox"><tr><td><ul><li><a rel="mw:WikiLink" href="./Nav">Nav</a></li>'
+    + '</ul></td></tr></table></section>';
+
+describe('lib:disambiguation', () => {
+    const doc = domino.createDocument(html);
+    const candidates = disambiguation.extractCandidates(doc, 'en.wikipedia.org');
+
+    it('groups the candidates by section', () => {
+        assert.deepEqual(candidates.map(group => group.heading), [ undefined, 'Music' ]);
+        assert.deepEqual(candidates[1].anchor, 'Music');
+    });
+
+    it('builds the candidates from the list items', () => {
+        assert.deepEqual(candidates[0].links, [ {
+            title: 'Mercury (planet)',
+            text: 'Mercury (planet), the closest planet to the Sun',
+            summary_url: 'https://en.wikipedia.org/api/rest_v1/page/summary/Mercury_(planet)'
+        } ]);
+    });
+
+    it('handles nested lists and encoded titles', () => {
+        assert.deepEqual(candidates[1].links.map(link => link.title),
+            [ 'Mercury Rev', 'Mercury Rev discography', 'Café Mercury' ]);
+        assert.deepEqual(candidates[1].links[0].text, 'Mercury Rev, a band');
+        assert.deepEqual(candidates[1].links[2].summary_url,
+            'https://en.wikipedia.org/api/rest_v1/page/summary/Caf%C3%A9_Mercury');
+    });
+
+    it('skips red links and navigation boxes', () => {
+        const titles = [].concat(...candidates.map(group => group.links.map(link => link.title)));
+        assert.ok(!titles.includes('Red link'));
+        assert.ok(!titles.includes('Nav'));
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const assert = require('../../utils/assert');
+const aggregated = require('../../../lib/feed/aggregated');
+const featured = require('../../../lib/feed/featured');
+const featuredImage = require('../../../lib/feed/featured-image');
+const mostRead = require('../../../lib/feed/most-read');
+const news = require('../../../lib/feed/news');
+const mwapi = require('../../../lib/mwapi');
+const HTTPError = require('../../../lib/util').HTTPError;
+
+const unit = aggregated.testing;
+const SectionStatus = aggregated.SectionStatus;
+
+describe('aggregated-unit', () => {
+    it('sectionRequest copies params and sets the aggregated flag', () => {
+        const req = { params: { domain: 'en.wikipedia.org', yyyy: '2016' }, query: {} };
+        const sectionReq = unit.sectionRequest(req);
+        sectionReq.params.title = 'Foo';
+        assert.deepEqual(sectionReq.query.aggregated, true);
+        assert.deepEqual(req.params.title, undefined);
+        assert.deepEqual(req.query.aggregated, undefined);
+    });
+
+    it('etagFromMeta handles the different meta shapes of the feed modules', () => {
+        assert.deepEqual(unit.etagFromMeta(undefined), undefined);
+        assert.deepEqual(unit.etagFromMeta({}), undefined);
+        assert.deepEqual(unit.etagFromMeta({ etag: 'abc' }), 'abc');
+        assert.deepEqual(unit.etagFromMeta({ revision: 123 }), '123');
+        assert.deepEqual(unit.etagFromMeta({ revision: 123, tid: 456 }), '123/456');
+    });
+
+    it('combineEtags changes when a section changes', () => {
+        const a = unit.combineEtags({ tfa: { etag: '1' }, news: { etag: '2' } });
+        const b = unit.combineEtags({ tfa: { etag: '1' }, news: { etag: '3' } });
+        assert.deepEqual(a, unit.combineEtags({ tfa: { etag: '1' }, news: { etag: '2' } }));
+        assert.notDeepEqual(a, b);
+    });
+
+    it('buildResponse includes available sections and reports all statuses', () => {
+        const error = { status: 500, type: 'internal_error', title: 'Oops' };
+        const result = unit.buildResponse({
+            tfa: { status: SectionStatus.OK, payload: { title: 'Foo' } },
+            news: { status: SectionStatus.OMITTED },
+            image: { status: SectionStatus.ERROR, error }
+        });
+        assert.deepEqual(result.tfa, { title: 'Foo' });
+        assert.notProperty(result, 'news');
+        assert.notProperty(result, 'image');
+        assert.deepEqual(result.sections.tfa.status, SectionStatus.OK);
+        assert.deepEqual(result.sections.news.status, SectionStatus.OMITTED);
+        assert.deepEqual(result.sections.image, { status: SectionStatus.ERROR, error });
+    });
+
+    describe('promise', () => {
+        let stubs = [];
+
+        afterEach(() => {
+            stubs.forEach(stub => stub.restore());
+            stubs = [];
+        });
+
+        it('reports a failed section as error and still returns the others', () => {
+            stubs = [
+                sinon.stub(featured, 'promise').returns(BBPromise.resolve({
+                    payload: { title: 'Foo' },
+                    meta: { revision: 123 }
+                })),
+                sinon.stub(mostRead, 'promise').returns(BBPromise.reject(new HTTPError({
+                    status: 504,
+                    type: 'api_error',
+                    title: 'Upstream timeout'
+                }))),
+                sinon.stub(news, 'promise').returns(BBPromise.resolve({})),
+                sinon.stub(mwapi, 'getSiteInfo').returns(BBPromise.resolve({})),
+                sinon.stub(featuredImage, 'promise').returns(BBPromise.resolve({
+                    payload: { title: 'File:Foo.jpg' },
+                    meta: { revision: 456 }
+                }))
+            ];
+            const logger = { log: sinon.spy() };
+            const req = {
+                params: { domain: 'xx.wikipedia.org', yyyy: '2016', mm: '11', dd: '01' },
+                query: {},
+                logger
+            };
+            return aggregated.promise({}, req).then((response) => {
+                const body = response.payload;
+                assert.deepEqual(body.tfa, { title: 'Foo' });
+                assert.deepEqual(body.image, { title: 'File:Foo.jpg' });
+                assert.notProperty(body, 'mostread');
+                assert.deepEqual(body.sections.mostread, {
+                    status: SectionStatus.ERROR,
+                    error: { status: 504, type: 'api_error', title: 'Upstream timeout' }
+                });
+                assert.deepEqual(body.sections.tfa.status, SectionStatus.OK);
+                assert.deepEqual(body.sections.image.status, SectionStatus.OK);
+                assert.deepEqual(body.sections.news.status, SectionStatus.OMITTED);
+                assert.deepEqual(body.sections.onthisday.status, SectionStatus.OMITTED);
+                assert.ok(logger.log.calledOnce);
+            });
+        });
+    });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const assert = require('../../utils/assert');
+const lib = require('../../../lib/feed/hydrate');
+const summary = require('../../../lib/summary');
+const summUrl = require('../../../lib/mobile-util').getRbPageSummaryUrl;
+const rbTemplate = require('../../utils/testUtil').rbTemplate;
+
+const hydrate = lib.testing;
+
+const url = title => `https://en.wikipedia.org/api/rest_v1/page/summary/${title}`;
+
+describe('hydrate-unit', () => {
+    it('titleFromSummaryUrl reverses getRbPageSummaryUrl', () => {
+        const title = 'AC/DC_(band)?';
+        assert.deepEqual(hydrate.titleFromSummaryUrl(summUrl(rbTemplate, 'en.wikipedia.org', title)), title);
+        assert.deepEqual(hydrate.titleFromSummaryUrl('https://en.wikipedia.org/wiki/Foo'), undefined);
+    });
+
+    it('collectMergeNodes finds nested $merge placeholders in order', () => {
+        const payload = {
+            date: '2016-01-01Z',
+            articles: [
+                { views: 2, $merge: [ url('Foo') ] },
+                { views: 1, $merge: [ url('Bar') ] }
+            ],
+            news: [ { story: 'x', links: [ { $merge: [ url('Baz') ] } ] } ]
+        };
+        const nodes = hydrate.collectMergeNodes(payload);
+        assert.deepEqual(nodes.map(node => node.$merge[0]), [ url('Foo'), url('Bar'), url('Baz') ]);
+    });
+
+    it('mergeNode replaces the placeholder with the summary properties', () => {
+        const node = { views: 2, rank: 1, $merge: [ url('Foo') ] };
+        hydrate.mergeNode(node, { [url('Foo')]: { title: 'Foo', extract: 'Foo is a bar.' } });
+        assert.deepEqual(node, { views: 2, rank: 1, title: 'Foo', extract: 'Foo is a bar.' });
+    });
+
+    it('mergeNode keeps the placeholder if the summary is unavailable', () => {
+        const node = { $merge: [ url('Foo') ] };
+        hydrate.mergeNode(node, {});
+        assert.deepEqual(node, { $merge: [ url('Foo') ] });
+    });
+
+    it('pruneUnresolved drops unresolved entries', () => {
+        const payload = {
+            articles: [
+                { title: 'Foo' },
+                { $merge: [ url('Bar') ] }
+            ]
+        };
+        assert.deepEqual(hydrate.pruneUnresolved(payload), { articles: [ { title: 'Foo' } ] });
+    });
+
+    it('pruneUnresolved returns undefined for an unresolved payload', () => {
+        assert.deepEqual(hydrate.pruneUnresolved({ $merge: [ url('Foo') ] }), undefined);
+    });
+
+    describe('with hydrate_summaries enabled', () => {
+        const sandbox = sinon.createSandbox();
+        const app = { conf: { hydrate_summaries: true, processing_scripts: {} } };
+        const req = { params: { domain: 'en.wikipedia.org' }, logger: { log: sinon.stub() } };
+
+        beforeEach(() => {
+            sandbox.stub(summary, 'requestSummaries').returns(BBPromise.resolve({
+                Foo_bar: { title: 'Foo bar', revision: '123' },
+                Missing: { error: { status: 404, type: 'missingtitle' } }
+            }));
+        });
+
+        afterEach(() => sandbox.restore());
+
+        it('builds summaries in-process and drops missing pages', () => {
+            const response = {
+                payload: [
+                    { views: 2, $merge: [ url('Foo_bar') ] },
+                    { views: 1, $merge: [ url('Missing') ] }
+                ]
+            };
+            return lib.hydrateIfEnabled(app, req, response).then((result) => {
+                assert.deepEqual(result.payload, [ { views: 2, title: 'Foo bar', revision: '123' } ]);
+                assert.deepEqual(summary.requestSummaries.firstCall.args[2], [ 'Foo_bar', 'Missing' ]);
+            });
+        });
+
+        it('leaves the payload alone if disabled', () => {
+            const response = { payload: { $merge: [ url('Foo_bar') ] } };
+            const disabledApp = { conf: {} };
+            return lib.hydrateIfEnabled(disabledApp, req, response).then((result) => {
+                assert.deepEqual(result.payload, { $merge: [ url('Foo_bar') ] });
+                assert.ok(summary.requestSummaries.notCalled);
+            });
+        });
+    });
+});
@@ -1,8 +1,10 @@
 'use strict';
 
 const assert = require('../../utils/assert');
+const siteinfo = require('../../fixtures/siteinfo_enwiki.json');
 const imageinfo = require('../../../lib/imageinfo'); // module under test
 const structureExtMetadataValue = imageinfo.testing.structureExtMetadataValue;
+const addSrcset = imageinfo.testing.addSrcset;
 
 const descriptionValue = { en:'<span>foo</span>',de:'<span>bar</span>' };
 
@@ -34,4 +36,31 @@ describe('featured-image-unit', () => {
         assert.deepEqual(result, undefined);
     });
 
+    it('addSrcset adds the variants of the thumbnails of images', () => {
+        const path = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a0/Foo.jpg';
+        const original = 'https://upload.wikimedia.org/wikipedia/commons/a/a0/Foo.jpg';
+        const results = addSrcset({ 'File:Foo.jpg': {}, 'File:Foo.ogg': {} }, [
+            {
+                title: 'File:Foo.jpg',
+                imageinfo: [ {
+                    thumburl: `${path}/320px-Foo.jpg`,
+                    thumbwidth: 320,
+                    url: original,
+                    width: 700
+                } ]
+            },
+            { title: 'File:Foo.ogg', imageinfo: [ {} ] }
+        ], siteinfo);
+        assert.deepEqual(results, {
+            'File:Foo.jpg': {
+                srcset: [
+                    { src: `${path}/320px-Foo.jpg`, width: 320 },
+                    { src: `${path}/640px-Foo.jpg`, width: 640 },
+                    { src: original, width: 700 }
+                ]
+            },
+            'File:Foo.ogg': {}
+        });
+    });
+
 });
@@ -0,0 +1,125 @@
+'use strict';
+
+const domino = require('domino');
+const fs = require('fs');
+const path = require('path');
+const assert = require('../../utils/assert');
+const infobox = require('../../../lib/infobox');
+
+const FIXTURES = path.join(__dirname, '../../fixtures');
+
+function extract(file, domain) {
+    const html = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+    return infobox.extractInfoboxes(domino.createDocument(html), domain);
+}
+
+describe('lib:infobox', () => {
+    describe('taxobox (enwiki)', () => {
+        const result = extract('Dog.html', 'en.wikipedia.org');
+
+        it('finds the infobox', () => {
+            assert.deepEqual(result.length, 1);
+            assert.deepEqual(result[0].title, 'Domestic dog');
+        });
+
+        it('gets the main image and its caption', () => {
+            assert.deepEqual(result[0].image, {
+                title: 'File:Collage_of_Nine_Dogs.jpg',
+                source: 'https://upload.wikimedia.org/wikipedia/commons/thumb/d/d9/Collage_of_Nine_Dogs.jpg/260px-Collage_of_Nine_Dogs.jpg',
+                width: 260,
+                height: 228,
+                caption_html: 'Selection of the different <a rel="mw:WikiLink" href="./Dog_breed" title="Dog breed">breeds of dog</a>',
+                caption_text: 'Selection of the different breeds of dog'
+            });
+        });
+
+        it('reads labels from data cells', () => {
+            const kingdom = result[0].rows.find(row => row.label === 'Kingdom');
+            assert.deepEqual(kingdom.value_text, 'Animalia');
+            assert.deepEqual(kingdom.links[0].titles.canonical, 'Animal');
+            const subspecies = result[0].rows.find(row => row.label === 'Subspecies');
+            assert.deepEqual(subspecies.value_text, 'C. l. familiaris');
+        });
+
+        it('keeps the headers in order', () => {
+            const headers = result[0].rows.filter(row => row.type === 'header').map(row => row.text);
+            assert.deepEqual(headers, [ 'Conservation status', 'Scientific classification',
+                'Trinomial name', 'Synonyms' ]);
+        });
+    });
+
+    describe('biography (enwiki)', () => {
+        const result = extract('infobox/en-Barack_Obama.html', 'en.wikipedia.org')[0];
+
+        it('gets the title and the captioned image', () => {
+            assert.deepEqual(result.title, 'Barack Obama');
+            assert.deepEqual(result.image.title, 'File:President_Barack_Obama.jpg');
+            assert.deepEqual(result.image.caption_text, 'Official portrait, 2012');
+        });
+
+        it('builds the rows', () => {
+            assert.deepEqual(result.rows[0], {
+                type: 'header',
+                html: '<a rel="mw:WikiLink" href="./President_of_the_United_States" title="President of the United States">44th President of the United States</a>',
+                text: '44th President of the United States'
+            });
+            assert.deepEqual(result.rows[1], {
+                type: 'row',
+                label: 'Vice President',
+                value_html: '<a rel="mw:WikiLink" href="./Joe_Biden" title="Joe Biden">Joe Biden</a>',
+                value_text: 'Joe Biden',
+                links: [ {
+                    titles: { canonical: 'Joe_Biden', normalized: 'Joe Biden' },
+                    anchor: undefined,
+                    summary_url: 'https://en.wikipedia.org/api/rest_v1/page/summary/Joe_Biden'
+                } ]
+            });
+        });
+
+        it('leaves out references and hidden content and keeps line breaks', () => {
+            const born = result.rows.find(row => row.label === 'Born');
+            assert.deepEqual(born.value_text,
+                'Barack Hussein Obama II\nAugust 4, 1961\nHonolulu, Hawaii, U.S.');
+            assert.ok(!born.value_html.includes('mw-ref'));
+            const children = result.rows.find(row => row.label === 'Children');
+            assert.deepEqual(children.value_text, 'Malia\nSasha');
+        });
+    });
+
+    describe('taxobox (dewiki)', () => {
+        const result = extract('infobox/de-Haushund.html', 'de.wikipedia.org')[0];
+
+        it('gets the title, image and rows', () => {
+            assert.deepEqual(result.title, 'Haushund');
+            assert.deepEqual(result.image.title, 'Datei:Collage_of_Nine_Dogs.jpg');
+            assert.deepEqual(result.image.caption_text, 'Verschiedene Haushunde');
+            assert.deepEqual(result.rows.map(row => row.text || row.label), [
+                'Systematik', 'Ordnung', 'Familie', 'Wissenschaftlicher Name', undefined
+            ]);
+            assert.deepEqual(result.rows[4].value_text, 'Canis lupus familiaris\nLinnaeus, 1758');
+        });
+    });
+
+    describe('infobox with caption (ruwiki)', () => {
+        const result = extract('infobox/ru-Москва.html', 'ru.wikipedia.org');
+
+        it('takes the title from the caption and keeps nested infoboxes in the rows', () => {
+            assert.deepEqual(result.length, 1);
+            assert.deepEqual(result[0].title, 'Москва');
+            assert.deepEqual(result[0].image.title, 'Файл:Moscow_July_2011-16.jpg');
+            assert.deepEqual(result[0].rows[0].label, 'Страна');
+            assert.deepEqual(result[0].rows[0].links[0].summary_url,
+                'https://ru.wikipedia.org/api/rest_v1/page/summary/%D0%A0%D0%BE%D1%81%D1%81%D0%B8%D1%8F');
+            assert.deepEqual(result[0].rows[1].value_text, '12 678 079 чел. (2020)');
+            assert.deepEqual(result[0].rows[2].label, undefined);
+        });
+
+        it('skips red links', () => {
+            assert.deepEqual(result[0].rows[3].links, []);
+        });
+    });
+
+    it('returns no infoboxes for pages without any', () => {
+        assert.deepEqual(infobox.extractInfoboxes(domino.createDocument('<p>Foo</p>'), 'en.wikipedia.org'), []);
+    });
+});
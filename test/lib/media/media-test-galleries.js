@@ -0,0 +1,85 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('../../utils/assert');
+const media = require('../../../lib/media');
+
+const fixture = name => fs.readFileSync(path.resolve(__dirname,
+    `../../fixtures/galleries/${name}.html`), 'utf8');
+
+describe('lib:media galleries', () => {
+
+    it('traditional galleries have their caption, section and members', () => {
+        const result = media.getMediaFromPage(fixture('en-traditional'));
+        assert.deepEqual(result.items.map(i => i.title),
+            [ 'File:Lead.jpg', 'File:Harbour.jpg', 'File:Old_town.jpg' ]);
+        assert.deepEqual(result.galleries, [ {
+            id: 'mwAg',
+            mode: 'traditional',
+            caption: { html: 'Views of the <i>city</i>', text: 'Views of the city' },
+            section_id: 1,
+            // the lead image is listed once, where it first appears
+            members: [ 1, 2, 0 ],
+            member_captions: [
+                {
+                    html: '<p>The <a rel="mw:WikiLink" href="./Harbour">harbour</a></p>',
+                    text: 'The harbour'
+                },
+                { html: '<p>The old town</p>', text: 'The old town' },
+                { html: '<p>The lead image again</p>', text: 'The lead image again' }
+            ]
+        } ]);
+    });
+
+    it('gallery texts are only given as the captions of the gallery members', () => {
+        const result = media.getMediaFromPage(fixture('en-traditional'));
+        assert.deepEqual(result.items[0].caption.text, 'Lead image');
+        assert.deepEqual(result.items[1].caption, undefined);
+        assert.deepEqual(result.items[1].gallery_id, 'mwAg');
+    });
+
+    it('packed-hover and slideshow galleries are grouped', () => {
+        const result = media.getMediaFromPage(fixture('en-packed-hover-slideshow'));
+        assert.deepEqual(result.items.map(i => i.gallery_id),
+            [ 'mwBQ', 'mwBQ', 'mwBg', 'mwBg', 'mwBg' ]);
+        const caption = text => ({ html: `<p>${text}</p>`, text });
+        assert.deepEqual(result.galleries, [
+            {
+                id: 'mwBQ',
+                mode: 'packed-hover',
+                caption: undefined,
+                section_id: 2,
+                members: [ 0, 1 ],
+                member_captions: [ caption('Stag beetle'), caption('Dung beetle') ]
+            },
+            {
+                id: 'mwBg',
+                mode: 'slideshow',
+                caption: { html: 'Larvae', text: 'Larvae' },
+                section_id: 2,
+                members: [ 2, 3, 4 ],
+                member_captions: [ caption('First instar'), caption('Last instar'), caption('Pupa') ]
+            }
+        ]);
+    });
+
+    it('media lists combine the items with the metadata of their files', () => {
+        const requested = [];
+        return media.getMediaList(fixture('en-traditional'), (titles) => {
+            requested.push(titles);
+            return { 'File:Harbour.jpg': { mime: 'image/jpeg' } };
+        }).then((result) => {
+            assert.deepEqual(requested, [ [ 'File:Lead.jpg', 'File:Harbour.jpg', 'File:Old_town.jpg' ] ]);
+            assert.deepEqual(result.items[1].mime, 'image/jpeg');
+            assert.deepEqual(result.items[1].title, undefined);
+            assert.deepEqual(result.galleries[0].members, [ 1, 2, 0 ]);
+        });
+    });
+
+    it('pages without galleries have none', () => {
+        const result = media.getMediaFromPage('<figure typeof="mw:Image">'
+            + '<img resource="./File:Foo" width="100" height="100"/></figure>');
+        assert.deepEqual(result.galleries, []);
+    });
+});
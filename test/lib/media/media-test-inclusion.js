@@ -7,6 +7,9 @@ const media = require('../../../lib/media');
 const image = media.testing.imageName;
 const video = media.testing.videoName;
 const audio = media.testing.audioName;
+const document = media.testing.documentName;
+const model3D = media.testing.model3DName;
+const file = media.testing.fileName;
 
 const imageFigure = '<figure typeof="mw:Image"><img resource="./File:A" width="100" height="100"/></figure>';
 const imageSpan = '<span typeof="mw:Image"><img resource="./File:B" width="100" height="100"/></span>';
@@ -34,6 +37,13 @@ const audioVideoFigure = '<figure typeof="mw:Audio"><video resource="./File:M2"/
 const audioVideoSpan = '<span typeof="mw:Audio"><video resource="./File:N2"/></span>';
 const audioVideoFigureInline = '<figure-inline typeof="mw:Audio"><video resource="./File:O2"/></figure-inline>';
 
+const pdfFigure = '<figure typeof="mw:Image/Thumb"><img resource="./File:U.pdf" src="//upload.wikimedia.org/wikipedia/commons/thumb/a/a0/U.pdf/page3-220px-U.pdf.jpg" width="220" height="300"/></figure>';
+const djvuSpan = '<span typeof="mw:Image"><img resource="./File:V.djvu" width="100" height="100"/></span>';
+const stlFigure = '<figure typeof="mw:Image/Thumb"><img resource="./File:W.stl" width="100" height="100"/></figure>';
+const fileLink = '<a rel="mw:MediaLink" href="//upload.wikimedia.org/wikipedia/commons/a/a0/X.pdf" resource="./File:X.pdf" title="X.pdf">X</a>';
+const pronunciationLink = '<a rel="mw:MediaLink" href="//upload.wikimedia.org/wikipedia/commons/a/a0/Y.ogg" resource="./File:Y.ogg" title="Y.ogg">listen</a>';
+const missingFileLink = '<a rel="mw:MediaLink" href="./Special:FilePath/Z.pdf" resource="./File:Z.pdf" title="Z.pdf" class="new">Z</a>';
+
 const noTypeFigure = '<figure><video resource="./File:P"/></figure>';
 const noTypeSpan = '<span><video resource="./File:Q"/></span>';
 const noTypeFigureInline = '<figure-inline><video resource="./File:R"/></figure-inline>';
@@ -46,11 +56,14 @@ const videos = [videoFigure, videoSpan, videoFigureInline, videoThumbFigure, vid
 const audios = [audioFigure, audioSpan, audioFigureInline,
     // TODO: remove after Parsoid change https://gerrit.wikimedia.org/r/c/mediawiki/services/parsoid/+/449903 is deployed
     audioVideoFigure, audioVideoSpan, audioVideoFigureInline];
-const validItems = images.concat(videos).concat(audios);
+const documents = [pdfFigure, djvuSpan];
+const models = [stlFigure];
+const files = [fileLink];
+const validItems = images.concat(videos).concat(audios).concat(documents).concat(models).concat(files);
 
 const noType = [noTypeFigure, noTypeSpan, noTypeFigureInline];
 const blacklisted = [imageNoViewer, imageMetadata];
-const invalidItems = noType.concat(blacklisted);
+const invalidItems = noType.concat(blacklisted).concat([pronunciationLink, missingFileLink]);
 
 describe('lib:media expected items are included or excluded', () => {
 
@@ -61,6 +74,43 @@ describe('lib:media expected items are included or excluded', () => {
         assert.deepEqual(result.filter(i => i.type === image).length, images.length);
         assert.deepEqual(result.filter(i => i.type === video).length, videos.length);
         assert.deepEqual(result.filter(i => i.type === audio).length, audios.length);
+        assert.deepEqual(result.filter(i => i.type === document).length, documents.length);
+        assert.deepEqual(result.filter(i => i.type === model3D).length, models.length);
+        assert.deepEqual(result.filter(i => i.type === file).length, files.length);
+    });
+
+    it('documents and 3D models are shown in galleries, links to files aren\'t', () => {
+        const result = media.getMediaItemInfoFromPage(documents.concat(models).concat(files).join(''));
+        assert.deepEqual(result.map(i => [ i.title, i.showInGallery ]), [
+            [ 'File:U.pdf', true ],
+            [ 'File:V.djvu', true ],
+            [ 'File:W.stl', true ],
+            [ 'File:X.pdf', false ]
+        ]);
+    });
+
+    it('the page shown of a document is identified', () => {
+        const result = media.getMediaItemInfoFromPage(documents.join(''));
+        assert.deepEqual(result.map(i => i.page), [ 3, 1 ]);
+    });
+
+    it('documents get a page thumbnail template and 3D models their model', () => {
+        const thumbPath = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a0';
+        const result = media.combineResponses({
+            'File:U.pdf': {
+                thumbnail: { source: `${thumbPath}/U.pdf/page1-320px-U.pdf.jpg` },
+                original: { source: 'https://upload.wikimedia.org/wikipedia/commons/a/a0/U.pdf' },
+                page_count: 12
+            },
+            'File:W.stl': {
+                thumbnail: { source: `${thumbPath}/W.stl/320px-W.stl.png` },
+                original: { source: 'https://upload.wikimedia.org/wikipedia/commons/a/a0/W.stl', mime: 'application/sla' }
+            }
+        }, media.getMediaItemInfoFromPage(pdfFigure + stlFigure));
+        assert.deepEqual(result[0].page_count, 12);
+        assert.deepEqual(result[0].page_thumbnail_template, `${thumbPath}/U.pdf/page{page}-{width}px-U.pdf.jpg`);
+        assert.deepEqual(result[1].model, { source: 'https://upload.wikimedia.org/wikipedia/commons/a/a0/W.stl', mime: 'application/sla' });
+        assert.deepEqual(result[1].original, undefined);
     });
 
     it('items should not be found for other selectors', () => {
@@ -122,6 +122,22 @@ describe('lib:media metadata is correctly parsed from HTML', () => {
         assert.deepEqual(result.title, 'File:What?.jpg');
     });
 
+    it('math images have the Mathoid SVG as only variant', () => {
+        const src = 'https://wikimedia.org/api/rest_v1/media/math/render/svg/abc';
+        const items = media.getMediaItemInfoFromPage(
+            `<img class="mwe-math-fallback-image-inline" src="${src}">`);
+        const result = media.combineResponses({}, items)[0];
+        assert.deepEqual(result.srcset, [ { src } ]);
+        assert.deepEqual(result.title, undefined);
+    });
+
+    it('file images have the variants from the MW API', () => {
+        const srcset = [ { src: 'https://example.com/320px-Foo.jpg', width: 320 } ];
+        const items = media.getMediaItemInfoFromPage(imageWithSection);
+        const result = media.combineResponses({ 'File:Foo': { srcset } }, items)[0];
+        assert.deepEqual(result.srcset, srcset);
+    });
+
     // Skip until a long term solution for https://phabricator.wikimedia.org/T214338 is found
     it.skip('pronunciation titles are decoded after parsing from HTML', () => {
         const result = media.getMediaItemInfoFromPage(pronunciationWithPercentEncodedTitle)[0];
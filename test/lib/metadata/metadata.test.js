@@ -1,8 +1,15 @@
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const sinon = require('sinon');
+const metadata = require('../../../lib/metadata');
 const lib = require('../../../lib/metadata').testing;
 const assert = require('../../utils/assert');
 
+// eslint-disable-next-line max-len
+const si = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../fixtures/siteinfo_enwiki.json'), 'utf8'));
+
 describe('lib:metadata', () => {
 
     it('augmentLangLinks handles undefined langlinks', () => {
@@ -13,4 +20,65 @@ describe('lib:metadata', () => {
         assert.doesNotThrow(() => lib.augmentCategories());
     });
 
+    it('augmentLangLinks adds the badges of the sitelinks', () => {
+        const langlinks = [
+            { lang: 'de', title: 'Hund', autonym: 'Deutsch', langname: 'German' },
+            { lang: 'be-tarask', title: 'Сабака', autonym: 'беларуская (тарашкевіца)' },
+            { lang: 'fr', title: 'Chien' }
+        ];
+        const badges = { dewiki: [ 'featured_article' ], be_x_oldwiki: [ 'good_article' ] };
+        const result = lib.augmentLangLinks(langlinks, 'en.wikipedia.org', si, badges);
+        assert.deepEqual(result.map(ll => ll.badges),
+            [ [ 'featured_article' ], [ 'good_article' ], [] ]);
+        assert.deepEqual(result[0].autonym, 'Deutsch');
+        assert.deepEqual(result[0].langname, 'German');
+        assert.deepEqual(result[0].summary_url, 'https://de.wikipedia.org/api/rest_v1/page/summary/Hund');
+    });
+
+    it('augmentLangLinks uses the site IDs of the project of the domain', () => {
+        const result = lib.augmentLangLinks([ { lang: 'de', title: 'Berlin' } ],
+            'en.wikivoyage.org', si, { dewikivoyage: [ 'recommended_article' ] });
+        assert.deepEqual(result[0].badges, [ 'recommended_article' ]);
+    });
+
+    it('parseAcceptLanguage orders the languages by preference', () => {
+        assert.deepEqual(lib.parseAcceptLanguage('en;q=0.5, de-CH, fr;q=0.8, *;q=0.1, es;q=0'),
+            [ 'de-ch', 'fr', 'en' ]);
+        assert.deepEqual(lib.parseAcceptLanguage(undefined), []);
+    });
+
+    it('orderLangLinks puts the preferred languages first', () => {
+        const langlinks = [ 'ar', 'de', 'en', 'fr', 'zh' ].map(lang => ({ lang }));
+        const result = lib.orderLangLinks(langlinks, [ 'fr', 'de-ch', 'pt' ]);
+        assert.deepEqual(result.map(ll => ll.lang), [ 'fr', 'de', 'ar', 'en', 'zh' ]);
+    });
+
+    it('getLangLinksOrder rejects unknown orders', () => {
+        assert.deepEqual(metadata.getLangLinksOrder({}), undefined);
+        assert.deepEqual(metadata.getLangLinksOrder({ langlinks_order: 'accept-language' }),
+            'accept-language');
+        assert.throws(() => metadata.getLangLinksOrder({ langlinks_order: 'quality' }),
+            /bad_request/);
+    });
+
+    it('selectLangLinksOrder makes the preferred languages part of the ETag', () => {
+        const res = { vary: sinon.spy() };
+        const req = {
+            query: { langlinks_order: 'accept-language' },
+            headers: { 'accept-language': 'de-CH, fr;q=0.8' }
+        };
+        const next = sinon.spy();
+        metadata.selectLangLinksOrder(req, res, next);
+        assert.deepEqual(req.langPreferences, [ 'de-ch', 'fr' ]);
+        assert.deepEqual(req.etagSuffix, 'll-de-ch.fr');
+        assert.ok(res.vary.calledWith('Accept-Language'));
+        assert.ok(next.calledOnce);
+    });
+
+    it('selectLangLinksOrder leaves the ETag alone by default', () => {
+        const req = { query: {}, headers: { 'accept-language': 'de' } };
+        metadata.selectLangLinksOrder(req, { vary: sinon.spy() }, sinon.spy());
+        assert.deepEqual(req.langPreferences, undefined);
+        assert.deepEqual(req.etagSuffix, undefined);
+    });
 });
@@ -0,0 +1,95 @@
+'use strict';
+
+const BBPromise = require('bluebird');
+const domino = require('domino');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const assert = require('../../utils/assert');
+const readingStats = require('../../../lib/reading-stats');
+
+const testing = readingStats.testing;
+
+describe('lib:reading-stats', () => {
+    describe('countWords', () => {
+        it('counts words separated by spaces, without punctuation', () => {
+            assert.deepEqual(testing.countWords('The dog — a mammal — barks, 3 times!', 'en'),
+                { words: 7, characters: 0 });
+        });
+
+        it('counts CJK characters in any language', () => {
+            assert.deepEqual(testing.countWords('Tokyo (東京) is big', 'en'),
+                { words: 3, characters: 2 });
+        });
+
+        it('counts characters in languages without spaces between words', () => {
+            assert.deepEqual(testing.countWords('東京都は、日本の首都。', 'ja'),
+                { words: 0, characters: 9 });
+            assert.deepEqual(testing.countWords('กรุงเทพมหานคร เมืองหลวง', 'th'),
+                { words: 0, characters: 22 });
+        });
+    });
+
+    it('estimates reading times', () => {
+        assert.deepEqual(testing.getReadingTime({ words: 0, characters: 0 }), 0);
+        assert.deepEqual(testing.getReadingTime({ words: 150, characters: 0 }), 1);
+        assert.deepEqual(testing.getReadingTime({ words: 400, characters: 700 }), 4);
+    });
+
+    it('counts the words of each section, without subsections, tables and removed elements', () => {
+        const doc = domino.createDocument('<section data-mw-section-id="0"><p>One two'
+            + '<sup class="mw-ref">[1]</sup> three.</p><table><tr><td>Not counted</td></tr>'
+            + '</table><section data-mw-section-id="1"><h2>Four</h2><p>Five six.</p></section>'
+            + '<p><span id="coordinates">1°N 2°E</span></p>'
+            + '</section><section data-mw-section-id="-1"><p>Not counted</p></section>');
+        assert.deepEqual(testing.countSectionWords(doc, 'en', [ '#coordinates' ]), [
+            { section: 0, count: { words: 3, characters: 0 } },
+            { section: 1, count: { words: 3, characters: 0 } }
+        ]);
+    });
+
+    it('counts tables without nested tables, message boxes and navigation boxes', () => {
+        const doc = domino.createDocument('<table class="wikitable"><tr><td><table></table></td>'
+            + '</tr></table><table class="ambox"></table><table class="navbox"></table>'
+            + '<table class="infobox"></table>');
+        assert.deepEqual(testing.countTables(doc), 2);
+    });
+
+    describe('buildReadingStats', () => {
+        const fixtures = path.join(__dirname, '../../fixtures');
+        const html = fs.readFileSync(path.join(fixtures, 'Dog.html'), 'utf8');
+        const processing = path.join(__dirname, '../../../processing/mobile-html.yaml');
+        const script = [ yaml.safeLoad(fs.readFileSync(processing)) ];
+
+        it('builds the statistics without modifying the document', () => {
+            const doc = domino.createDocument(html);
+            return readingStats.buildReadingStats(doc, script, 'en')
+            .then((stats) => {
+                assert.deepEqual(doc.documentElement.outerHTML,
+                    domino.createDocument(html).documentElement.outerHTML);
+                assert.ok(stats.words > 1000);
+                assert.deepEqual(stats.reading_time, Math.ceil(stats.words / 200));
+                assert.deepEqual(stats.sections[0].section, 0);
+                assert.deepEqual(stats.sections.reduce((sum, s) => sum + s.words, 0), stats.words);
+                assert.ok(stats.media.image > 0);
+                assert.ok(stats.references > 0);
+                assert.ok(stats.tables > 0);
+                assert.ok(stats.mobile_html_bytes > 0);
+                assert.ok(stats.mobile_html_bytes < Buffer.byteLength(html, 'utf8'));
+            });
+        });
+
+        it('leaves the elements removed by the processing script out of the word counts', () => {
+            const page = '<section data-mw-section-id="0"><p>One two '
+                + '<span class="geo-nondefault">Not counted</span></p></section>';
+            return BBPromise.join(
+                readingStats.buildReadingStats(domino.createDocument(page), [ [] ], 'en'),
+                readingStats.buildReadingStats(domino.createDocument(page),
+                    [ [ { rmElements: [ '.geo-nondefault' ] } ] ], 'en'),
+                (unprocessed, processed) => {
+                    assert.deepEqual(unprocessed.words, 4);
+                    assert.deepEqual(processed.words, 2);
+                });
+        });
+    });
+});
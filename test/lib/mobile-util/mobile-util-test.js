@@ -31,6 +31,25 @@ describe('lib:mobile-util', () => {
         assert.deepEqual(mUtil.extractDbTitleFromAnchor(link), 'My_db_title');
     });
 
+    describe('buildPageLink', () => {
+        const link = href => domino.createDocument(`<a href="${href}">foo</a>`)
+            .querySelector('a');
+
+        it('decodes the title and the section anchor', () => {
+            assert.deepEqual(mUtil.buildPageLink(link('./Caf%C3%A9#Menu_%C3%A0'), 'en.wikipedia.org'), {
+                titles: { canonical: 'Café', normalized: 'Café' },
+                anchor: 'Menu_à',
+                summary_url: 'https://en.wikipedia.org/api/rest_v1/page/summary/Caf%C3%A9'
+            });
+        });
+
+        it('keeps malformed encodings as they are', () => {
+            const result = mUtil.buildPageLink(link('./Foo%E0#Bar%E0'), 'en.wikipedia.org');
+            assert.deepEqual(result.titles.canonical, 'Foo%E0');
+            assert.deepEqual(result.anchor, 'Bar%E0');
+        });
+    });
+
     it('mwApiTrue handles formatversions 1 and 2', () => {
         const test = { true1: '', true2: true, false2: false };
         assert.deepEqual(mUtil.mwApiTrue(test, 'true1'), true);
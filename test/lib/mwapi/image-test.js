@@ -5,6 +5,9 @@
 const assert = require('../../utils/assert.js');
 const buildUrls = require('../../../lib/mwapi').buildLeadImageUrls;
 const scale = require('../../../lib/mwapi').scaledThumbUrl;
+const buildSrcset = require('../../../lib/mwapi').buildSrcset;
+const buildPageThumbUrlTemplate = require('../../../lib/mwapi').buildPageThumbUrlTemplate;
+const getThumbPage = require('../../../lib/mwapi').getThumbPage;
 
 const path = 'https://upload.wikimedia.org/wikipedia/commons/thumb/a/a0';
 
@@ -111,3 +114,69 @@ describe('lib:mwapi buildLeadImageUrls', () => {
         });
     });
 });
+
+describe('lib:mwapi buildSrcset', () => {
+    const original = (file = 'Foo.jpg') => `https://upload.wikimedia.org/wikipedia/commons/a/a0/${file}`;
+
+    it('variants are built for all widths narrower than the original, then the original', () => {
+        assert.deepEqual(buildSrcset(thumb(320), 320, original(), 4000), [
+            { src: thumb(320), width: 320 },
+            { src: thumb(640), width: 640 },
+            { src: thumb(800), width: 800 },
+            { src: thumb(1024), width: 1024 },
+            { src: thumb(1280), width: 1280 },
+            { src: thumb(1920), width: 1920 },
+            { src: original(), width: 4000 }
+        ]);
+        assert.deepEqual(buildSrcset(thumb(320), 320, original(), 1000), [
+            { src: thumb(320), width: 320 },
+            { src: thumb(640), width: 640 },
+            { src: thumb(800), width: 800 },
+            { src: original(), width: 1000 }
+        ]);
+    });
+
+    it('the original replaces the variant of its own width', () => {
+        assert.deepEqual(buildSrcset(thumb(320), 320, original(), 1024), [
+            { src: thumb(320), width: 320 },
+            { src: thumb(640), width: 640 },
+            { src: thumb(800), width: 800 },
+            { src: original(), width: 1024 }
+        ]);
+        assert.deepEqual(buildSrcset(thumb(320), 320, original(), 320), [
+            { src: original(), width: 320 }
+        ]);
+    });
+
+    it('SVG and GIF images follow the same rules', () => {
+        assert.deepEqual(buildSrcset(thumb(320, 'Foo.svg', ''), 320, original('Foo.svg'), 700)
+            .map(v => v.width), [ 320, 640, 700 ]);
+        assert.deepEqual(buildSrcset(thumb(320, 'Foo.gif'), 320, original('Foo.gif'), 1300)
+            .map(v => v.width), [ 320, 640, 800, 1024, 1280, 1300 ]);
+    });
+
+    it('originals which browsers can\'t show are left out', () => {
+        assert.deepEqual(buildSrcset(thumb(320, 'Foo.tif'), 320, original('Foo.tif'), 700)
+            .map(v => v.src), [ thumb(320, 'Foo.tif'), thumb(640, 'Foo.tif') ]);
+    });
+
+    it('images narrower than all widths or without thumb URL have a single variant', () => {
+        const notAThumb = original();
+        assert.deepEqual(buildSrcset(notAThumb, 200, notAThumb, 200), [ { src: notAThumb, width: 200 } ]);
+        assert.deepEqual(buildSrcset(thumb(320), 320), [ { src: thumb(320), width: 320 } ]);
+    });
+});
+
+describe('lib:mwapi page thumbnails', () => {
+
+    it('page thumb URL templates are built from a page thumb URL', () => {
+        assert.deepEqual(buildPageThumbUrlTemplate(thumb(320, 'Foo.pdf', 'page3-')),
+            `${path}/Foo.pdf/page{page}-{width}px-Foo.pdf`);
+        assert.deepEqual(buildPageThumbUrlTemplate(thumb(320)), undefined);
+    });
+
+    it('the page number is read from page thumb URLs', () => {
+        assert.deepEqual(getThumbPage(thumb(320, 'Foo.pdf', 'page3-')), 3);
+        assert.deepEqual(getThumbPage(thumb(320)), undefined);
+    });
+});
@@ -0,0 +1,53 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const api = require('../../../lib/api-util');
+const mwapi = require('../../../lib/mwapi');
+const assert = require('../../utils/assert');
+
+describe('lib:mwapi getSitelinkBadges', () => {
+    const app = { conf: {} };
+    const req = { logger: { log: sinon.spy() } };
+    let mwApiGet;
+
+    afterEach(() => {
+        if (mwApiGet) {
+            mwApiGet.restore();
+            mwApiGet = undefined;
+        }
+    });
+
+    it('gets the named badges of the sitelinks from Wikidata', () => {
+        mwApiGet = sinon.stub(api, 'mwApiGet').returns(BBPromise.resolve({
+            body: {
+                entities: {
+                    Q144: {
+                        sitelinks: {
+                            dewiki: { site: 'dewiki', title: 'Haushund', badges: [ 'Q17437796' ] },
+                            enwiki: { site: 'enwiki', title: 'Dog', badges: [ 'Q17437798' ] },
+                            frwiki: { site: 'frwiki', title: 'Chien', badges: [] },
+                            itwiki: { site: 'itwiki', title: 'Cane', badges: [ 'Q70893996' ] }
+                        }
+                    }
+                }
+            }
+        }));
+        return mwapi.getSitelinkBadges(app, req, 'Q144').then((badges) => {
+            assert.deepEqual(mwApiGet.firstCall.args[1], 'www.wikidata.org');
+            assert.deepEqual(badges, { dewiki: [ 'featured_article' ], enwiki: [ 'good_article' ] });
+        });
+    });
+
+    it('resolves to no badges without an item or on errors', () => {
+        mwApiGet = sinon.stub(api, 'mwApiGet').returns(BBPromise.reject(new Error('timeout')));
+        return BBPromise.join(
+            mwapi.getSitelinkBadges(app, req, undefined),
+            mwapi.getSitelinkBadges(app, req, 'Q144'),
+            (withoutItem, failed) => {
+                assert.deepEqual(withoutItem, {});
+                assert.deepEqual(failed, {});
+                assert.ok(req.logger.log.calledWith('warn/wikidata'));
+            });
+    });
+});
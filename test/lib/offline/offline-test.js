@@ -0,0 +1,86 @@
+'use strict';
+
+const domino = require('domino');
+const assert = require('../../utils/assert');
+const offline = require('../../../lib/offline');
+
+const unit = offline.testing;
+
+describe('lib:offline', () => {
+    describe('rewriteResourceLinks', () => {
+        it('points the shared resources to the bundle files', () => {
+            const doc = domino.createDocument(`<html><head>
+                <link rel="stylesheet" href="//meta.wikimedia.org/api/rest_v1/data/css/mobile/base">
+                <link rel="stylesheet" href="//meta.wikimedia.org/api/rest_v1/data/css/mobile/pagelib">
+                <link rel="stylesheet" href="/api/rest_v1/data/css/mobile/site">
+                <link rel="stylesheet" href="//example.org/other.css">
+                <script src="//meta.wikimedia.org/api/rest_v1/data/javascript/mobile/pagelib"></script>
+                </head><body></body></html>`);
+            unit.rewriteResourceLinks(doc);
+            const hrefs = Array.from(doc.querySelectorAll('link')).map(e => e.getAttribute('href'));
+            assert.deepEqual(hrefs, [ 'base.css', 'pagelib.css', 'site.css', '//example.org/other.css' ]);
+            assert.deepEqual(doc.querySelector('script').getAttribute('src'), 'pagelib.js');
+        });
+    });
+
+    describe('buildMediaManifest', () => {
+        it('lists the URLs of all files once', () => {
+            const items = [
+                {
+                    title: 'File:A.jpg',
+                    thumbnail: { source: 'https://upload.example.org/a-320.jpg' },
+                    original: { source: 'https://upload.example.org/a.jpg' }
+                },
+                {
+                    title: 'File:B.ogv',
+                    original: { source: 'https://upload.example.org/b.ogv' },
+                    sources: [
+                        { url: 'https://upload.example.org/b.webm' },
+                        { url: 'https://upload.example.org/b.ogv' }
+                    ]
+                },
+                { type: 'unknown' }
+            ];
+            const manifest = unit.buildMediaManifest(items);
+            assert.deepEqual(manifest.items, items);
+            assert.deepEqual(manifest.urls, [
+                'https://upload.example.org/a-320.jpg',
+                'https://upload.example.org/a.jpg',
+                'https://upload.example.org/b.ogv',
+                'https://upload.example.org/b.webm'
+            ]);
+        });
+    });
+
+    describe('createMultipart', () => {
+        it('serializes the parts with their headers', () => {
+            const result = unit.createMultipart([
+                { filename: 'index.html', type: 'text/html', content: '<p>Hi</p>' },
+                { filename: 'media.json', type: 'application/json', content: '{}' }
+            ]);
+            const b = result.boundary;
+            assert.deepEqual(result.body, [
+                `--${b}`,
+                'Content-Type: text/html',
+                'Content-Disposition: attachment; filename="index.html"',
+                '',
+                '<p>Hi</p>',
+                `--${b}`,
+                'Content-Type: application/json',
+                'Content-Disposition: attachment; filename="media.json"',
+                '',
+                '{}',
+                `--${b}--`,
+                ''
+            ].join('\r\n'));
+        });
+
+        it('uses a boundary not found in the parts', () => {
+            const result = unit.createMultipart([
+                { filename: 'a.txt', type: 'text/plain', content: 'abc' }
+            ]);
+            assert.ok(/^[0-9a-f]{32}$/.test(result.boundary));
+            assert.ok(!'abc'.includes(result.boundary));
+        });
+    });
+});
@@ -1,7 +1,11 @@
 'use strict';
 
 const domino = require('domino');
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const api = require('../../../lib/api-util');
 const parsoid = require('../../../lib/parsoid-access');
+const responseCache = require('../../../lib/response-cache');
 const assert = require('../../utils/assert');
 
 describe('lib:parsoid-access etag handling', () => {
@@ -70,3 +74,49 @@ describe('lib:parsoid-access etag handling', () => {
     });
 
 });
+
+describe('lib:parsoid-access response caching', () => {
+    const html = { status: 200, headers: { etag: '"123/abc"' }, body: '<html></html>' };
+    const request = params => ({ params: Object.assign({ domain: 'en.wikipedia.org', title: 'Foo' }, params), headers: {} });
+    let app;
+
+    beforeEach(() => {
+        app = { responseCache: new responseCache.ResponseCache(new responseCache.MemoryBackend()) };
+        sinon.stub(api, 'restApiGet').returns(BBPromise.resolve(html));
+    });
+
+    afterEach(() => {
+        api.restApiGet.restore();
+    });
+
+    it('serves repeated requests from the cache', () => {
+        return parsoid.getParsoidHtml(app, request())
+        .then(() => parsoid.getParsoidHtml(app, request()))
+        .then((rsp) => {
+            assert.ok(api.restApiGet.calledOnce);
+            assert.deepEqual(rsp.body, html.body);
+        });
+    });
+
+    it('caches the latest content under the revision and tid from the etag', () => {
+        return parsoid.getParsoidHtml(app, request())
+        .then(() => parsoid.getParsoidHtml(app, request({ revision: '123', tid: 'abc' })))
+        .then(() => assert.ok(api.restApiGet.calledOnce));
+    });
+
+    it('does not cache Parsoid diff testing requests', () => {
+        const req = Object.assign(request(), { query: { useparsoid: true } });
+        api.restApiGet.returns(BBPromise.resolve({ body: { html } }));
+        return parsoid.getParsoidHtml(app, req)
+        .then(() => parsoid.getParsoidHtml(app, req))
+        .then(() => assert.ok(api.restApiGet.calledTwice));
+    });
+
+    it('does not serve requests with Cache-Control: no-cache from the cache', () => {
+        const req = request();
+        req.headers['cache-control'] = 'no-cache';
+        return parsoid.getParsoidHtml(app, request())
+        .then(() => parsoid.getParsoidHtml(app, req))
+        .then(() => assert.ok(api.restApiGet.calledTwice));
+    });
+});
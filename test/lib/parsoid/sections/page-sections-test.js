@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('../../../utils/assert.js');
+const domino = require('domino');
+const pageSections = require('../../../../lib/sections/pageSections');
+
+const html = '<section data-mw-section-id="0"><p>Lead</p></section>'
+    + '<section data-mw-section-id="1"><div class="pagelib_edit_section_header">'
+    + '<h2 id="History">History <i>of</i> it</h2></div><p>Text1</p>'
+    + '<section data-mw-section-id="2"><h3 id="Early">Early</h3><p>Text2 é</p>'
+    + '<section data-mw-section-id="-1"><p>Generated</p></section></section></section>'
+    + '<section data-mw-section-id="3"><h2 id="References">References</h2>'
+    + '<section data-mw-section-id="4"><h3 id="Notes">Notes</h3>'
+    + '<div class="mw-references-placeholder"></div></section></section>'
+    + '<section data-mw-section-id="5"><h2 id="See_also">See also</h2></section>';
+
+describe('lib:page-sections', () => {
+    const doc = domino.createDocument(html);
+    const sections = pageSections.listSections(doc);
+
+    it('lists the sections with ids >= 0 in document order', () => {
+        assert.deepEqual(sections.map(s => s.id), [ 0, 1, 2, 3, 4, 5 ]);
+    });
+
+    it('describes the lead section', () => {
+        assert.deepEqual(sections[0], {
+            id: 0,
+            level: 0,
+            anchor: undefined,
+            heading: undefined,
+            bytes: '<p>Lead</p>'.length,
+            isReferenceSection: false
+        });
+    });
+
+    it('finds headings wrapped for edit buttons', () => {
+        assert.deepEqual(sections[1].level, 1);
+        assert.deepEqual(sections[1].anchor, 'History');
+        assert.deepEqual(sections[1].heading, {
+            html: 'History <i>of</i> it',
+            text: 'History of it'
+        });
+    });
+
+    it('excludes subsections but keeps generated sections in the HTML', () => {
+        const section = pageSections.getSection(sections, 2);
+        assert.deepEqual(section.level, 2);
+        assert.deepEqual(section.html,
+            '<h3 id="Early">Early</h3><p>Text2 é</p>'
+            + '<section data-mw-section-id="-1"><p>Generated</p></section>');
+        assert.deepEqual(section.bytes, Buffer.byteLength(section.html, 'utf8'));
+        assert.ok(!pageSections.getSection(sections, 1).html.includes('Early'));
+    });
+
+    it('marks reference sections', () => {
+        assert.deepEqual(sections.map(s => s.isReferenceSection),
+            [ false, false, false, true, true, false ]);
+    });
+
+    it('does not expose the section HTML in the list', () => {
+        assert.deepEqual(JSON.parse(JSON.stringify(sections[3])), {
+            id: 3,
+            level: 1,
+            anchor: 'References',
+            heading: { html: 'References', text: 'References' },
+            bytes: '<h2 id="References">References</h2>'.length,
+            isReferenceSection: true
+        });
+    });
+
+    it('returns nothing for unknown sections', () => {
+        assert.deepEqual(pageSections.getSection(sections, 6), undefined);
+    });
+});
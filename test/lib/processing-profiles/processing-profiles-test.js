@@ -0,0 +1,106 @@
+'use strict';
+
+const sinon = require('sinon');
+const assert = require('../../utils/assert');
+const profiles = require('../../../lib/processing-profiles');
+
+describe('lib:processing-profiles', () => {
+    const defaults = {
+        'mobile-html': [ [ 'rmComments' ] ],
+        'mobile-html-lite': [ [ 'rmBracketSpans' ] ],
+        'mobile-html-post-meta': [ [ 'addPageHeader' ] ]
+    };
+
+    function createApp(processingProfiles) {
+        return {
+            conf: {
+                processing_scripts: Object.assign({}, defaults),
+                processing_profiles: processingProfiles
+            }
+        };
+    }
+
+    describe('loadProfiles', () => {
+        it('resolves script names and inline scripts', () => {
+            const app = createApp({
+                lite: { 'mobile-html': 'mobile-html-lite' },
+                reader: { 'mobile-html-post-meta': [ 'rmComments', { rmElements: [ 'a' ] } ] }
+            });
+            profiles.loadProfiles(app);
+            assert.deepEqual(app.processingProfiles.lite['mobile-html'], defaults['mobile-html-lite']);
+            assert.deepEqual(app.processingProfiles.reader['mobile-html-post-meta'],
+                [ [ 'rmComments', { rmElements: [ 'a' ] } ] ]);
+            assert.deepEqual(app.processingProfiles.reader['mobile-html-post-meta'].context.name,
+                'reader.mobile-html-post-meta');
+        });
+
+        it('rejects unknown scripts and invalid steps', () => {
+            const app = createApp({
+                lite: { 'mobile-html': 'mobile-html-light' },
+                reader: { 'mobile-html-post-meta': [ 'rmComents' ] }
+            });
+            assert.throws(() => profiles.loadProfiles(app),
+                /lite.mobile-html: unknown processing script 'mobile-html-light'\nreader.mobile-html-post-meta: step 1: unknown transform 'rmComents'/);
+        });
+
+        it('rejects replacing scripts which don\'t exist', () => {
+            const app = createApp({ lite: { 'mobile-htm': 'mobile-html-lite' } });
+            assert.throws(() => profiles.loadProfiles(app),
+                /lite.mobile-htm: 'mobile-htm' is not a processing script/);
+        });
+
+        it('allows the option to be omitted', () => {
+            const app = createApp(undefined);
+            profiles.loadProfiles(app);
+            assert.deepEqual(app.processingProfiles, {});
+        });
+    });
+
+    describe('selectProfile', () => {
+        let app;
+        let res;
+        let next;
+
+        function request(query, headers) {
+            return { app, query, headers };
+        }
+
+        beforeEach(() => {
+            app = createApp({ lite: { 'mobile-html': 'mobile-html-lite' } });
+            profiles.loadProfiles(app);
+            res = { vary: sinon.stub() };
+            next = sinon.stub();
+        });
+
+        it('selects the profile given in the query', () => {
+            const req = request({ profile: 'lite' }, {});
+            profiles.selectProfile(req, res, next);
+            assert.deepEqual(req.processingProfile, 'lite');
+            assert.deepEqual(req.etagSuffix, 'lite');
+            assert.ok(res.vary.calledWith('x-processing-profile'));
+            assert.ok(next.calledOnce);
+            assert.deepEqual(profiles.getScript(app, req, 'mobile-html'), defaults['mobile-html-lite']);
+            assert.deepEqual(profiles.getScript(app, req, 'mobile-html-post-meta'),
+                defaults['mobile-html-post-meta']);
+        });
+
+        it('selects the profile given in the header', () => {
+            const req = request({}, { 'x-processing-profile': 'lite' });
+            profiles.selectProfile(req, res, next);
+            assert.deepEqual(req.processingProfile, 'lite');
+        });
+
+        it('uses the default scripts without a profile', () => {
+            const req = request({}, {});
+            profiles.selectProfile(req, res, next);
+            assert.deepEqual(req.processingProfile, undefined);
+            assert.deepEqual(profiles.getScript(app, req, 'mobile-html'), defaults['mobile-html']);
+        });
+
+        it('rejects unknown profiles', () => {
+            assert.throws(() => profiles.selectProfile(request({ profile: 'toString' }, {}), res, next),
+                /400: bad_request/);
+            assert.ok(!next.called);
+        });
+    });
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const sinon = require('sinon');
+const domino = require('domino');
+const assert = require('../../utils/assert');
+const processing = require('../../../lib/processing');
+
+const PROCESSING_DIR = path.join(__dirname, '../../../processing');
+
+describe('lib:processing validate', () => {
+
+    it('accepts all bundled processing scripts', () => {
+        fs.readdirSync(PROCESSING_DIR).forEach((filename) => {
+            const script = yaml.safeLoad(fs.readFileSync(path.join(PROCESSING_DIR, filename)));
+            assert.deepEqual(processing.validate(script), [], filename);
+        });
+    });
+
+    it('reports unknown transforms', () => {
+        assert.deepEqual(processing.validate([ 'rmComments', 'rmComents' ]),
+            [ "step 2: unknown transform 'rmComents'" ]);
+    });
+
+    it('reports steps with more than one key', () => {
+        assert.deepEqual(processing.validate([ { rmElements: [ 'a' ], rmAttributes: { a: 'b' } } ]),
+            [ 'step 1: must be a transform name or an object with a single key' ]);
+    });
+
+    it('reports missing arguments', () => {
+        assert.deepEqual(processing.validate([ 'rmElements' ]),
+            [ "step 1: 'rmElements' requires arguments" ]);
+    });
+
+    it('reports arguments given to transforms which take none', () => {
+        assert.deepEqual(processing.validate([ { rmComments: [ 'a' ] } ]),
+            [ "step 1: 'rmComments' takes no arguments, use the plain transform name" ]);
+    });
+
+    it('accepts optional steps', () => {
+        assert.deepEqual(processing.validate([
+            { optional: 'rmComments' },
+            { optional: { rmElements: [ 'a' ] } },
+            { optional: 'rmComents' }
+        ]), [ "step 3: unknown transform 'rmComents'" ]);
+    });
+
+    it('checks the form of the arguments', () => {
+        assert.deepEqual(processing.validate([
+            { rmElements: { a: 'href' } },
+            { rmAttributes: [ 'a' ] },
+            { addClassTo: { a: 1 } }
+        ]), [
+            "step 1: 'rmElements' expects a non-empty list of selectors",
+            "step 2: 'rmAttributes' expects a map of selectors to a value or a list of values",
+            "step 3: 'addClassTo' expects a map of selectors to a value or a list of values"
+        ]);
+    });
+});
+
+describe('lib:processing pipeline', () => {
+    const html = '<body><p>Foo<!-- comment --></p><span class="x">Bar</span></body>';
+    let app;
+
+    // rmElements throws on invalid selectors
+    const failing = { rmElements: [ '[' ] };
+
+    beforeEach(() => {
+        app = {
+            metrics: { endTiming: sinon.stub(), increment: sinon.stub() },
+            logger: { log: sinon.stub() }
+        };
+    });
+
+    it('times each step', () => {
+        const script = processing.prepareScript([ 'rmComments', { rmElements: [ 'span' ] } ], 'test', app);
+        return processing(domino.createDocument(html), script)
+        .then((doc) => {
+            assert.deepEqual(doc.body.innerHTML, '<p>Foo</p>');
+            assert.deepEqual(app.metrics.endTiming.args.map(args => args[0]),
+                [ 'processing.test.rmComments', 'processing.test.rmElements' ]);
+        });
+    });
+
+    it('reports the script and step of a failure', () => {
+        const script = processing.prepareScript([ 'rmComments', failing ], 'test', app);
+        return processing(domino.createDocument(html), script)
+        .then(() => assert.fail('processing should have failed'))
+        .catch((err) => {
+            assert.deepEqual(err.status, 500);
+            assert.deepEqual(err.type, 'processing_error');
+            assert.deepEqual(err.title, 'Processing step rmElements of script test failed');
+            assert.ok(app.metrics.increment.calledWith('processing.test.rmElements.failed'));
+        });
+    });
+
+    it('skips failing optional steps', () => {
+        const script = processing.prepareScript([ { optional: failing }, 'rmComments' ], 'test', app);
+        return processing(domino.createDocument(html), script)
+        .then((doc) => {
+            assert.deepEqual(doc.body.innerHTML, '<p>Foo</p><span class="x">Bar</span>');
+            assert.ok(app.logger.log.calledWith('warn/processing'));
+        });
+    });
+
+    it('runs unbound scripts', () => {
+        return processing(domino.createDocument(html), [ [ 'rmComments' ] ])
+        .then(doc => assert.deepEqual(doc.body.innerHTML, '<p>Foo</p><span class="x">Bar</span>'));
+    });
+
+    it('lists the selectors of the elements a script removes', () => {
+        const script = processing.prepareScript([ { rmElements: [ 'span.x', 'div' ] }, 'rmComments',
+            { optional: { rmElements: [ '#foo' ] } } ], 'test', app);
+        assert.deepEqual(processing.getRemovedSelectors(script), [ 'span.x', 'div', '#foo' ]);
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const domino = require('domino');
+const api = require('../../../lib/api-util');
+const redirects = require('../../../lib/redirects');
+const head = require('../../../lib/transformations/pcs/head');
+const assert = require('../../utils/assert');
+
+const testing = redirects.testing;
+
+describe('lib:redirects', () => {
+    describe('isRedirectRequested', () => {
+        it('follows redirects only with redirect=true', () => {
+            assert.deepEqual(testing.isRedirectRequested({}), false);
+            assert.deepEqual(testing.isRedirectRequested({ redirect: 'false' }), false);
+            assert.deepEqual(testing.isRedirectRequested({ redirect: 'true' }), true);
+        });
+
+        it('rejects other values', () => {
+            assert.throws(() => testing.isRedirectRequested({ redirect: 'yes' }), /bad_request/);
+        });
+    });
+
+    describe('getRedirect', () => {
+        it('gets the target and the section anchor', () => {
+            assert.deepEqual(testing.getRedirect({
+                query: {
+                    redirects: [ { from: 'Obama', to: 'Barack Obama', tofragment: 'Early life' } ]
+                }
+            }), { from: 'Obama', to: 'Barack Obama', fragment: 'Early_life' });
+        });
+
+        it('follows chains of redirects to their final target', () => {
+            assert.deepEqual(testing.getRedirect({
+                query: {
+                    redirects: [
+                        { from: 'Obama', to: 'Barack H. Obama', tofragment: 'Early life' },
+                        { from: 'Barack H. Obama', to: 'Barack Obama' }
+                    ]
+                }
+            }), { from: 'Obama', to: 'Barack Obama', fragment: 'Early_life' });
+            assert.deepEqual(testing.getRedirect({
+                query: {
+                    redirects: [
+                        { from: 'Barack H. Obama', to: 'Barack Obama', tofragment: 'Presidency' },
+                        { from: 'Obama', to: 'Barack H. Obama', tofragment: 'Early life' }
+                    ]
+                }
+            }), { from: 'Obama', to: 'Barack Obama', fragment: 'Presidency' });
+        });
+
+        it('ignores pages which aren\'t redirects and redirects to other wikis', () => {
+            assert.deepEqual(testing.getRedirect({ query: { pages: [ { title: 'Dog' } ] } }),
+                undefined);
+            assert.deepEqual(testing.getRedirect({
+                query: {
+                    redirects: [ { from: 'Foo', to: 'wikt:Foo', tointerwiki: 'wikt' } ]
+                }
+            }), undefined);
+        });
+    });
+
+    describe('resolveRedirect', () => {
+        let mwApiGet;
+
+        afterEach(() => {
+            if (mwApiGet) {
+                mwApiGet.restore();
+                mwApiGet = undefined;
+            }
+        });
+
+        const request = (query, params) => ({
+            app: {},
+            query,
+            params: Object.assign({ domain: 'en.wikipedia.org', title: 'Obama' }, params)
+        });
+
+        it('replaces the title by the target of the redirect', () => {
+            mwApiGet = sinon.stub(api, 'mwApiGet').returns(BBPromise.resolve({
+                body: {
+                    query: {
+                        redirects: [ { from: 'Obama', to: 'Barack Obama', tofragment: 'Early life' } ],
+                        pages: [ { pageid: 534366, title: 'Barack Obama' } ]
+                    }
+                }
+            }));
+            const req = request({ redirect: 'true' });
+            const next = sinon.spy();
+            return redirects.resolveRedirect(req, {}, next).then(() => {
+                assert.deepEqual(mwApiGet.firstCall.args[2].redirects, true);
+                assert.deepEqual(req.params.title, 'Barack Obama');
+                assert.deepEqual(req.redirectedFrom, { title: 'Obama', fragment: 'Early_life' });
+                assert.ok(next.calledOnce);
+                assert.deepEqual(redirects.addRedirectedFrom(req, { items: [] }), {
+                    items: [],
+                    redirected_from: { title: 'Obama', fragment: 'Early_life' }
+                });
+            });
+        });
+
+        it('leaves pages which aren\'t redirects alone', () => {
+            mwApiGet = sinon.stub(api, 'mwApiGet').returns(BBPromise.resolve({
+                body: { query: { pages: [ { pageid: 534366, title: 'Obama' } ] } }
+            }));
+            const req = request({ redirect: 'true' });
+            const next = sinon.spy();
+            return redirects.resolveRedirect(req, {}, next).then(() => {
+                assert.deepEqual(req.params.title, 'Obama');
+                assert.deepEqual(req.redirectedFrom, undefined);
+                assert.deepEqual(redirects.addRedirectedFrom(req, { items: [] }), { items: [] });
+                assert.ok(next.calledOnce);
+            });
+        });
+
+        it('doesn\'t query the MW API by default', () => {
+            mwApiGet = sinon.stub(api, 'mwApiGet');
+            const next = sinon.spy();
+            redirects.resolveRedirect(request({}), {}, next);
+            assert.ok(next.calledOnce);
+            assert.ok(mwApiGet.notCalled);
+        });
+
+        it('rejects following redirects for a given revision', () => {
+            assert.throws(() => {
+                redirects.resolveRedirect(request({ redirect: 'true' }, { revision: '123' }), {},
+                    sinon.spy());
+            }, /bad_request/);
+        });
+    });
+
+    describe('addMetaRedirectedFrom', () => {
+        it('adds the redirect to the head', () => {
+            const doc = domino.createDocument('<html><head></head><body></body></html>');
+            head.addMetaRedirectedFrom(doc, { title: 'Obama', fragment: 'Early_life' });
+            assert.deepEqual(doc.head.innerHTML,
+                '<meta property="mw:redirectedFrom" content="Obama">'
+                + '<meta property="mw:redirectedFromFragment" content="Early_life">');
+        });
+    });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const assert = require('../../utils/assert');
+const lib = require('../../../lib/response-cache');
+
+describe('lib:response-cache', () => {
+    describe('MemoryBackend', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('returns stored values until they expire', () => {
+            const backend = new lib.MemoryBackend();
+            return backend.set('a', 'foo', 10)
+            .then(() => backend.get('a'))
+            .then((value) => {
+                assert.deepEqual(value, 'foo');
+                clock.tick(10 * 1000);
+                return backend.get('a');
+            })
+            .then((value) => {
+                assert.deepEqual(value, undefined);
+                assert.deepEqual(backend.size, 0);
+            });
+        });
+
+        it('evicts the least recently used values', () => {
+            const backend = new lib.MemoryBackend({ max_size: 6 });
+            return backend.set('a', 'aa', 10)
+            .then(() => backend.set('b', 'bb', 10))
+            .then(() => backend.get('a'))
+            .then(() => backend.set('c', 'ccc', 10))
+            .then(() => BBPromise.all([ backend.get('a'), backend.get('b'), backend.get('c') ]))
+            .then((values) => {
+                assert.deepEqual(values, [ 'aa', undefined, 'ccc' ]);
+                assert.deepEqual(backend.size, 5);
+            });
+        });
+
+        it('does not store values larger than the maximum size', () => {
+            const backend = new lib.MemoryBackend({ max_size: 2 });
+            return backend.set('a', 'aaa', 10)
+            .then(() => backend.get('a'))
+            .then(value => assert.deepEqual(value, undefined));
+        });
+    });
+
+    describe('ResponseCache', () => {
+        const response = { status: 200, headers: { etag: '"1/a"' }, body: { foo: 'bar' }, extra: 1 };
+        let app;
+
+        beforeEach(() => {
+            app = {
+                metrics: { increment: sinon.stub() },
+                logger: { log: sinon.stub() }
+            };
+        });
+
+        it('fetches on a miss and serves later requests from the cache', () => {
+            const cache = new lib.ResponseCache(new lib.MemoryBackend(), {}, app);
+            const fetch = sinon.stub().returns(BBPromise.resolve(response));
+            return cache.getOrFetch('mwapi', 'key', fetch)
+            .then(() => cache.getOrFetch('mwapi', 'key', fetch))
+            .then((cached) => {
+                assert.ok(fetch.calledOnce);
+                assert.deepEqual(app.metrics.increment.args,
+                    [ [ 'cache.mwapi.miss' ], [ 'cache.mwapi.hit' ] ]);
+                assert.deepEqual(app.metrics.increment.args, [ [ 'cache.mwapi.miss' ], [ 'cache.mwapi.hit' ] ]);
+            });
+        });
+
+        it('does not cache request types with a TTL of 0', () => {
+            const cache = new lib.ResponseCache(new lib.MemoryBackend(), { mwapi: 0 }, app);
+            const fetch = sinon.stub().returns(BBPromise.resolve(response));
+            return cache.getOrFetch('mwapi', 'key', fetch)
+            .then(() => cache.getOrFetch('mwapi', 'key', fetch))
+            .then(() => assert.ok(fetch.calledTwice));
+        });
+
+        it('does not cache failed fetches', () => {
+            const cache = new lib.ResponseCache(new lib.MemoryBackend(), {}, app);
+            const fetch = sinon.stub();
+            fetch.onFirstCall().returns(BBPromise.reject(new Error('upstream error')));
+            fetch.onSecondCall().returns(BBPromise.resolve(response));
+            return cache.getOrFetch('mwapi', 'key', fetch)
+            .catch(err => assert.deepEqual(err.message, 'upstream error'))
+            .then(() => cache.getOrFetch('mwapi', 'key', fetch))
+            .then(() => assert.ok(fetch.calledTwice));
+        });
+
+        it('falls back to fetching when the backend fails', () => {
+            const backend = {
+                get: () => BBPromise.reject(new Error('backend down')),
+                set: () => BBPromise.reject(new Error('backend down'))
+            };
+            const cache = new lib.ResponseCache(backend, {}, app);
+            return cache.getOrFetch('mwapi', 'key', () => BBPromise.resolve(response))
+            .then((result) => {
+                assert.deepEqual(result, response);
+                assert.ok(app.logger.log.calledWith('warn/cache'));
+            });
+        });
+    });
+
+    describe('createCache', () => {
+        it('is disabled by default', () => {
+            assert.deepEqual(lib.createCache({ conf: {} }), undefined);
+        });
+
+        it('uses the memory backend when enabled', () => {
+            const cache = lib.createCache({ conf: { cache: true } });
+            assert.ok(cache.backend instanceof lib.MemoryBackend);
+            assert.deepEqual(cache.ttls.parsoid_revision, 86400);
+        });
+
+        it('uses the given backend', () => {
+            const backend = { get: () => BBPromise.resolve(), set: () => BBPromise.resolve() };
+            const cache = lib.createCache({ conf: { cache: { backend: 'custom.js' } } }, backend);
+            assert.deepEqual(cache.backend, backend);
+        });
+
+        it('applies the configured TTLs', () => {
+            const cache = lib.createCache({ conf: { cache: { ttl: { mwapi: 5 } } } });
+            assert.deepEqual(cache.ttls.mwapi, 5);
+            assert.deepEqual(cache.ttls.parsoid, 60);
+        });
+
+        it('can be disabled', () => {
+            assert.deepEqual(lib.createCache({ conf: { cache: false } }), undefined);
+        });
+    });
+
+    describe('isBypassed', () => {
+        it('bypasses the cache for requests with Cache-Control: no-cache', () => {
+            assert.ok(lib.isBypassed({ headers: { 'cache-control': 'no-cache' } }));
+            assert.ok(lib.isBypassed({ headers: { 'cache-control': 'max-age=0, no-cache' } }));
+            assert.ok(!lib.isBypassed({ headers: { 'cache-control': 'max-age=0' } }));
+            assert.ok(!lib.isBypassed({ headers: {} }));
+            assert.ok(!lib.isBypassed(undefined));
+        });
+    });
+});
@@ -5,9 +5,14 @@
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
 const assert = require('../../utils/assert.js');
+const mwapi = require('../../../lib/mwapi');
+const parsoid = require('../../../lib/parsoid-access');
 const parsoidSections = require('../../../lib/sections/parsoidSections');
-const unit = require('../../../lib/summary').testing;
+const summary = require('../../../lib/summary');
+const unit = summary.testing;
 const domino = require('domino');
 
 describe('lib:summary', () => {
@@ -58,5 +63,144 @@ describe('lib:summary', () => {
         it('type for redirect is no-extract', () => {
             assert.deepEqual(unit.getSummaryType({ ns: 0, contentmodel: 'wikitext', redirect: true }), 'no-extract');
         });
+        it('identifies file pages with file metadata', () => {
+            assert.deepEqual(unit.getSummaryType({ ns: 6, contentmodel: 'wikitext', extmetadata: {} }), 'file');
+            assert.deepEqual(unit.getSummaryType({ ns: 6, contentmodel: 'wikitext' }), 'no-extract');
+        });
+        it('identifies category, portal and project pages', () => {
+            assert.deepEqual(unit.getSummaryType({ ns: 14, contentmodel: 'wikitext' }), 'category');
+            assert.deepEqual(unit.getSummaryType({ ns: 100, contentmodel: 'wikitext' }), 'portal');
+            assert.deepEqual(unit.getSummaryType({ ns: 4, contentmodel: 'wikitext' }), 'project');
+        });
+    });
+
+    describe('file summaries', () => {
+        const meta = {
+            ns: 6,
+            lang: 'en',
+            contentmodel: 'wikitext',
+            extmetadata: {
+                ImageDescription: { value: { en: 'A <b>dog</b> on a beach', de: 'Ein Hund am Strand' } },
+                Artist: { value: 'Jane Doe' },
+                LicenseShortName: { value: 'CC BY-SA 4.0' },
+                License: { value: 'cc-by-sa-4.0' },
+                LicenseUrl: { value: 'https://creativecommons.org/licenses/by-sa/4.0' }
+            }
+        };
+
+        it('uses the file description as extract', () => {
+            return unit.buildExtracts('', meta, [])
+            .then((result) => {
+                assert.deepEqual(result.extract, 'A dog on a beach');
+                assert.deepEqual(result.extract_html, 'A <b>dog</b> on a beach');
+            });
+        });
+
+        it('includes the artist and license', () => {
+            const props = unit.buildNamespaceProperties(meta);
+            assert.deepEqual(props.artist.name, 'Jane Doe');
+            assert.deepEqual(props.license, {
+                type: 'CC BY-SA 4.0',
+                code: 'cc-by-sa-4.0',
+                url: 'https://creativecommons.org/licenses/by-sa/4.0'
+            });
+        });
+    });
+
+    describe('category summaries', () => {
+        it('include the member counts', () => {
+            const meta = { ns: 14, categoryinfo: { size: 12, pages: 8, files: 3, subcats: 1 } };
+            assert.deepEqual(unit.buildNamespaceProperties(meta), {
+                members: { pages: 8, subcategories: 1, files: 3 }
+            });
+        });
+    });
+
+    describe('extract length options', () => {
+        it('reads the sentences and chars options', () => {
+            assert.deepEqual(unit.getExtractOptions({ sentences: '2', chars: '100', foo: 'bar' }),
+                { sentences: 2, chars: 100 });
+            assert.deepEqual(unit.getExtractOptions({}), {});
+        });
+
+        it('rejects invalid values', () => {
+            assert.throws(() => unit.getExtractOptions({ sentences: '0' }), /400: bad_request/);
+            assert.throws(() => unit.getExtractOptions({ chars: '1e3' }), /400: bad_request/);
+            assert.throws(() => unit.getExtractOptions({ chars: '100000' }), /400: bad_request/);
+        });
+
+        it('sets the ETag suffix', () => {
+            const req = { query: { chars: '100', sentences: '2' } };
+            const next = sinon.stub();
+            summary.selectExtractOptions(req, {}, next);
+            assert.deepEqual(req.etagSuffix, 's2-c100');
+            assert.ok(next.calledOnce);
+        });
+
+        it('takes the extract from all lead paragraphs', () => {
+            const html = '<section data-mw-section-id="0"><p>First one. Second one.</p>'
+                + '<p>Third one. Fourth one.</p></section>';
+            return unit.buildExtracts(html, { ns: 0, contentmodel: 'wikitext', lang: 'en' }, [], { sentences: 3 })
+            .then((result) => {
+                assert.deepEqual(result.extract_html, '<p>First one. Second one.</p>\n<p>Third one.</p>');
+            });
+        });
+    });
+
+    describe('requestSummaries', () => {
+        const siteinfo = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../../fixtures/siteinfo_enwiki.json'), 'utf8'));
+        const html = '<html><head><meta property="dc:modified" content="2019-01-01T00:00:00.000Z"/></head><body></body></html>';
+        const meta = { ns: 1, nsText: 'Talk', normalizedtitle: 'Talk:Foo', displaytitle: 'Talk:Foo', contentmodel: 'wikitext' };
+        const app = { conf: { processing_scripts: {} } };
+        const req = { params: { domain: 'en.wikipedia.org' }, logger: { log: () => {} } };
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox.stub(mwapi, 'getSiteInfo').returns(BBPromise.resolve(siteinfo));
+            sandbox.stub(mwapi, 'getMetadataForSummaries').returns(BBPromise.resolve({ 'Talk:Foo': meta }));
+            sandbox.stub(parsoid, 'getParsoidHtml').returns(BBPromise.resolve({
+                body: html,
+                headers: { etag: '"123/abc"' }
+            }));
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('builds a summary for each distinct title', () => {
+            return summary.requestSummaries(app, req, [ 'Talk:Foo', 'Talk:Foo' ])
+            .then((result) => {
+                assert.deepEqual(Object.keys(result), [ 'Talk:Foo' ]);
+                assert.deepEqual(result['Talk:Foo'].title, 'Talk:Foo');
+                assert.deepEqual(result['Talk:Foo'].type, 'no-extract');
+                assert.deepEqual(result['Talk:Foo'].revision, '123');
+                assert.deepEqual(result['Talk:Foo'].timestamp, '2019-01-01T00:00:00Z');
+                assert.ok(!{}.hasOwnProperty.call(result['Talk:Foo'], 'code'));
+                assert.ok(parsoid.getParsoidHtml.calledOnce);
+                assert.deepEqual(parsoid.getParsoidHtml.firstCall.args[1].params.title, 'Talk:Foo');
+            });
+        });
+
+        it('reports missing and invalid titles as errors', () => {
+            return summary.requestSummaries(app, req, [ 'Talk:Foo', 'Missing', 'Foo|Bar' ])
+            .then((result) => {
+                assert.deepEqual(result.Missing.error.status, 404);
+                assert.deepEqual(result.Missing.error.type, 'missingtitle');
+                assert.deepEqual(result['Foo|Bar'].error.status, 400);
+                assert.deepEqual(result['Foo|Bar'].error.type, 'invalidtitle');
+                assert.ok(parsoid.getParsoidHtml.calledOnce);
+            });
+        });
+
+        it('reports summaries which cannot be built as errors', () => {
+            parsoid.getParsoidHtml.returns(BBPromise.reject(new Error('Parsoid is down')));
+            return summary.requestSummaries(app, req, [ 'Talk:Foo' ])
+            .then((result) => {
+                assert.deepEqual(result['Talk:Foo'].error.status, 500);
+                assert.deepEqual(result['Talk:Foo'].error.title, 'Parsoid is down');
+            });
+        });
     });
 });
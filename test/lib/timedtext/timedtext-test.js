@@ -0,0 +1,168 @@
+'use strict';
+
+const sinon = require('sinon');
+const BBPromise = require('bluebird');
+const domino = require('domino');
+const api = require('../../../lib/api-util');
+const mwapi = require('../../../lib/mwapi');
+const media = require('../../../lib/media');
+const timedtext = require('../../../lib/timedtext');
+const assert = require('../../utils/assert');
+const siteinfo = require('../../fixtures/siteinfo_enwiki.json');
+
+const toWebVtt = timedtext.testing.toWebVtt;
+
+const trackSrc = lang => 'https://commons.wikimedia.org/w/api.php?action=timedtext'
+    + `&title=File%3AFoo.webm&lang=${lang}&trackformat=srt`;
+
+const videoWithTracks =
+    '<figure typeof="mw:Video/Thumb">' +
+        '<video resource="./File:Foo.webm">' +
+            `<track src="${trackSrc('en')}" kind="subtitles" type="text/x-srt" srclang="en"` +
+                ' label="English (en)" data-mwtitle="TimedText:Foo.webm.en.srt">' +
+            `<track src="${trackSrc('de')}" kind="subtitles" type="text/vtt" srclang="de"` +
+                ' label="Deutsch (de)" data-mwtitle="TimedText:Foo.webm.de.vtt">' +
+        '</video>' +
+    '</figure>';
+
+describe('lib:timedtext', () => {
+    describe('getTracks', () => {
+        it('reads the tracks of a video', () => {
+            const doc = domino.createDocument(videoWithTracks);
+            assert.deepEqual(timedtext.getTracks(doc.querySelector('figure')), [
+                {
+                    lang: 'en',
+                    label: 'English (en)',
+                    kind: 'subtitles',
+                    format: 'srt',
+                    src: trackSrc('en'),
+                    title: 'TimedText:Foo.webm.en.srt'
+                },
+                {
+                    lang: 'de',
+                    label: 'Deutsch (de)',
+                    kind: 'subtitles',
+                    format: 'vtt',
+                    src: trackSrc('de'),
+                    title: 'TimedText:Foo.webm.de.vtt'
+                }
+            ]);
+        });
+
+        it('adds the tracks to video and audio items', () => {
+            const items = media.getMediaItemInfoFromPage(videoWithTracks
+                + '<figure typeof="mw:Audio"><audio resource="./File:Bar.ogg"/></figure>');
+            assert.deepEqual(items[0].tracks.map(track => track.lang), [ 'en', 'de' ]);
+            assert.deepEqual(items[1].tracks, []);
+        });
+    });
+
+    describe('toWebVtt', () => {
+        it('converts SubRip tracks', () => {
+            const srt = '\uFEFF1\r\n00:00:01,000 --> 00:00:04,500\r\nHello, world\r\n\r\n'
+                + '2\r\n00:00:05,000 --> 00:00:06,000\r\nBye\r\n';
+            assert.deepEqual(toWebVtt(srt), 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.500\n'
+                + 'Hello, world\n\n2\n00:00:05.000 --> 00:00:06.000\nBye\n');
+        });
+
+        it('passes WebVTT tracks through', () => {
+            const vtt = 'WEBVTT\n\n00:01.000 --> 00:04.000\nHello, world\n';
+            assert.deepEqual(toWebVtt(vtt), vtt);
+        });
+    });
+
+    describe('requestTrack', () => {
+        const stubs = [];
+
+        afterEach(() => {
+            stubs.splice(0).forEach(stub => stub.restore());
+        });
+
+        const request = (title, lang, domain) => ({
+            params: { domain: domain || 'commons.wikimedia.org', title, lang }
+        });
+
+        const fileInfo = repository => ({
+            body: {
+                query: {
+                    pages: [ {
+                        title: 'File:Foo.webm',
+                        imageinfo: [ { descriptionurl: `https://${repository}/wiki/File:Foo.webm` } ]
+                    } ]
+                }
+            }
+        });
+
+        const trackPages = {
+            body: {
+                query: {
+                    pages: [
+                        { title: 'TimedText:Foo.webm.en.vtt', missing: true },
+                        {
+                            title: 'TimedText:Foo.webm.en.srt',
+                            revisions: [ {
+                                revid: 123,
+                                slots: { main: { content: '1\n00:00:01,000 --> 00:00:02,000\nHi' } }
+                            } ]
+                        }
+                    ]
+                }
+            }
+        };
+
+        // answers file queries with the file info, and TimedText queries with the pages
+        const stubMwApi = (files, tracks) => {
+            stubs.push(sinon.stub(mwapi, 'getSiteInfo').returns(BBPromise.resolve(siteinfo)));
+            const mwApiGet = sinon.stub(api, 'mwApiGet').callsFake((app, domain, query) => {
+                return BBPromise.resolve(query.prop === 'imageinfo' ? files : tracks);
+            });
+            stubs.push(mwApiGet);
+            return mwApiGet;
+        };
+
+        it('gets the track from its TimedText page', () => {
+            const mwApiGet = stubMwApi(fileInfo('commons.wikimedia.org'), trackPages);
+            return timedtext.requestTrack({}, request('File:Foo.webm', 'en')).then((track) => {
+                assert.deepEqual(mwApiGet.secondCall.args[1], 'commons.wikimedia.org');
+                assert.deepEqual(mwApiGet.secondCall.args[2].titles,
+                    'TimedText:Foo.webm.en.vtt|TimedText:Foo.webm.en.srt');
+                assert.deepEqual(track, {
+                    revision: 123,
+                    body: 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000\nHi\n'
+                });
+            });
+        });
+
+        it('gets the track from the wiki hosting the file', () => {
+            const mwApiGet = stubMwApi(fileInfo('commons.wikimedia.org'), trackPages);
+            return timedtext.requestTrack({}, request('File:Foo.webm', 'en', 'en.wikipedia.org'))
+            .then((track) => {
+                assert.deepEqual(mwApiGet.firstCall.args[1], 'en.wikipedia.org');
+                assert.deepEqual(mwApiGet.firstCall.args[2].titles, 'File:Foo.webm');
+                assert.deepEqual(mwApiGet.secondCall.args[1], 'commons.wikimedia.org');
+                assert.deepEqual(track.revision, 123);
+            });
+        });
+
+        it('rejects invalid languages and titles other than files, and missing tracks', () => {
+            stubMwApi(fileInfo('commons.wikimedia.org'), {
+                body: { query: { pages: [ { missing: true }, { missing: true } ] } }
+            });
+            assert.throws(() => timedtext.requestTrack({}, request('File:Foo.webm', 'e n')),
+                /bad_request/);
+            return BBPromise.all([
+                timedtext.requestTrack({}, request('Foo', 'en'))
+                .then(() => assert.fail('not a file'), err => assert.deepEqual(err.status, 400)),
+                timedtext.requestTrack({}, request('File:Foo.webm', 'fr'))
+                .then(() => assert.fail('missing track'), err => assert.deepEqual(err.status, 404))
+            ]);
+        });
+
+        it('rejects missing files', () => {
+            stubMwApi({ body: { query: { pages: [ { title: 'File:Foo.webm', missing: true } ] } } },
+                trackPages);
+            return timedtext.requestTrack({}, request('File:Foo.webm', 'en'))
+            .then(() => assert.fail('missing file'), err => assert.deepEqual(err.status, 404));
+        });
+    });
+});
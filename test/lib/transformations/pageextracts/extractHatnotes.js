@@ -6,6 +6,8 @@ const domino = require('domino');
 const assert = require('./../../../utils/assert');
 const extractHatnotesForMobileSections = require('./../../../../lib/transforms').extractHatnotesForMobileSections;
 const extractHatnotesForMetadata = require('./../../../../lib/transforms').extractHatnotesForMetadata;
+const extractHatnotes = require('./../../../../lib/transformations/pageextracts/extractHatnotes');
+const getHatnoteKind = extractHatnotes.testing.getHatnoteKind;
 
 function testMetadataResult(doc, expected) {
     const result = extractHatnotesForMetadata(doc);
@@ -87,4 +89,44 @@ describe('extractHatnotes', () => {
         testMobileSectionsResult(doc, [ '<i>Foo</i>' ]);
         testMobileSectionsNoRemoveAfterHtml(doc, html);
     });
+
+    describe('structured hatnotes', () => {
+        it('classifies hatnotes by template', () => {
+            const doc = domino.createDocument('<section data-mw-section-id="1"><div class="hatnote" typeof="mw:Transclusion" data-mw=\'{"parts":[{"template":{"target":{"wt":"Main","href":"./Template:Main"},"params":{"1":{"wt":"Foo"}},"i":0}}]}\'>Main article: <a rel="mw:WikiLink" href="./Foo">Foo</a></div></section>');
+            assert.deepEqual(getHatnoteKind(doc.querySelector('.hatnote')), 'main');
+        });
+
+        it('classifies hatnotes by text', () => {
+            const kinds = [
+                'See also: Bar',
+                '"Foo" redirects here. For other uses, see Foo (disambiguation).',
+                'Not to be confused with Bar.',
+                'For other uses, see Foo (disambiguation).',
+                'Further information: Bar',
+                'Something else entirely'
+            ].map(text => getHatnoteKind(domino.createDocument(`<div class="hatnote">${text}</div>`).querySelector('.hatnote')));
+            assert.deepEqual(kinds, [ 'see_also', 'redirect', 'distinguish', 'other_uses', 'further', undefined ]);
+        });
+
+        it('classifies dewiki hatnotes by table', () => {
+            const doc = domino.createDocument('<section data-mw-section-id="0"><table id="Vorlage_Begriffsklärungshinweis"><tbody><tr><td>Zu weiteren Bedeutungen siehe <a rel="mw:WikiLink" href="./Foo_(Begriffsklärung)">Foo (Begriffsklärung)</a>.</td></tr></tbody></table></section>');
+            const result = extractHatnotesForMetadata(doc, 'de.wikipedia.org');
+            assert.deepEqual(result[0].kind, 'other_uses');
+            assert.deepEqual(result[0].links[0].titles.canonical, 'Foo_(Begriffsklärung)');
+        });
+
+        it('includes the linked pages', () => {
+            const doc = domino.createDocument('<section data-mw-section-id="2"><div class="hatnote">Main articles: <a rel="mw:WikiLink" href="./Caf%C3%A9#History">Café §&nbsp;History</a> and <a rel="mw:WikiLink" href="./Red" class="new">Red</a></div></section>');
+            assert.deepEqual(extractHatnotesForMetadata(doc, 'en.wikipedia.org'), [ {
+                section: 2,
+                html: 'Main articles: <a rel="mw:WikiLink" href="./Caf%C3%A9#History">Café §&nbsp;History</a> and <a rel="mw:WikiLink" href="./Red" class="new">Red</a>',
+                kind: 'main',
+                links: [ {
+                    titles: { canonical: 'Café', normalized: 'Café' },
+                    anchor: 'History',
+                    summary_url: 'https://en.wikipedia.org/api/rest_v1/page/summary/Caf%C3%A9'
+                } ]
+            } ]);
+        });
+    });
 });
@@ -115,4 +115,58 @@ describe('extractPageIssues', () => {
         testMobileSectionsResult(doc, undefined);
         testMobileSectionsNoRemoveAfterHtml(doc, html);
     });
+
+    describe('structured issues', () => {
+        // en.wikipedia.org/api/rest_v1/page/html/Jeremy_Bradley
+        const single = '<section data-mw-section-id="0">' +
+            '<table class="box-Unreferenced plainlinks metadata ambox ambox-content ambox-Unreferenced" typeof="mw:Transclusion" data-mw=\'{"parts":[{"template":{"target":{"wt":"Unreferenced","href":"./Template:Unreferenced"},"params":{"date":{"wt":"March 2019"}},"i":0}}]}\'>' +
+              '<tbody><tr><td class="mbox-text"><div class="mbox-text-span">' +
+                'This article <b>does not cite any sources</b>. ' +
+                '<span class="hide-when-compact">Please help improve this article.</span> ' +
+                '<small class="date-container"><i>(<span class="date">March 2019</span>)</i></small>' +
+                '<small class="hide-when-compact"><i> (<a href="./Help:Maintenance_template_removal">Learn how and when to remove this template message</a>)</i></small>' +
+              '</div></td></tr></tbody>' +
+            '</table></section>';
+
+        // en.wikipedia.org/api/rest_v1/page/html/Pacific_Heights
+        const multiple = '<section data-mw-section-id="0">' +
+            '<table class="box-Multiple_issues ambox ambox-content ambox-multiple_issues" typeof="mw:Transclusion" data-mw=\'{"parts":[{"template":{"target":{"wt":"Multiple issues","href":"./Template:Multiple_issues"},"params":{},"i":0}}]}\'>' +
+              '<tbody><tr><td class="mbox-text"><div class="mbox-text-body"><table>' +
+                '<tr><td><table class="box-Advert ambox ambox-style ambox-Advert"><tbody><tr><td><div class="mbox-text-span">' +
+                  'This article <b>contains content that is written like an advertisement</b>. ' +
+                  '<small class="date-container"><i>(<span class="date">June 2017</span>)</i></small>' +
+                '</div></td></tr></tbody></table></td></tr>' +
+              '</table></div></td></tr></tbody>' +
+            '</table></section>';
+
+        it('includes the template, severity, date and summary', () => {
+            const result = extractPageIssuesForMetadata(domino.createDocument(single));
+            assert.deepEqual(result[0].template, 'Unreferenced');
+            assert.deepEqual(result[0].severity, 'content');
+            assert.deepEqual(result[0].date, { year: 2019, month: 3 });
+            assert.deepEqual(result[0].summary, 'This article does not cite any sources.');
+        });
+
+        it('reads the template and date of issues in multiple issues boxes from the markup', () => {
+            const result = extractPageIssuesForMetadata(domino.createDocument(multiple));
+            assert.deepEqual(result[0].template, 'Advert');
+            assert.deepEqual(result[0].severity, 'style');
+            assert.deepEqual(result[0].date, { year: 2017, month: 6 });
+            assert.deepEqual(result[0].summary, 'This article contains content that is written like an advertisement.');
+        });
+
+        it('are only structured for metadata', () => {
+            const result = extractPageIssuesForMobileSections(domino.createDocument(single));
+            assert.deepEqual(Object.keys(result[0]), [ 'html', 'text' ]);
+        });
+
+        it('leaves out unknown details', () => {
+            const doc = domino.createDocument('<section data-mw-section-id="0"><table class="ambox"><tbody><tr><td><div class="mbox-text-span"><b>Issue!</b></div></td></tr></tbody></table></section>');
+            const result = extractPageIssuesForMetadata(doc);
+            assert.deepEqual(result[0].template, undefined);
+            assert.deepEqual(result[0].severity, undefined);
+            assert.deepEqual(result[0].date, undefined);
+            assert.deepEqual(result[0].summary, 'Issue!');
+        });
+    });
 });
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('../../../utils/assert');
+const segmentSentences = require('../../../../lib/transforms').segmentSentences;
+
+/**
+ * @param {!string} text plain text
+ * @param {?string} lang the language code of the text
+ * @return {!string[]} the sentences of the text
+ */
+function sentences(text, lang) {
+    let start = 0;
+    return segmentSentences(text, lang).map((end) => {
+        const sentence = text.slice(start, end).trim();
+        start = end;
+        return sentence;
+    });
+}
+
+describe('lib:segmentSentences', () => {
+    it('splits at full stops, question and exclamation marks followed by whitespace', () => {
+        assert.deepEqual(sentences('Dogs bark. Do cats? Yes! They meow.'),
+            [ 'Dogs bark.', 'Do cats?', 'Yes!', 'They meow.' ]);
+    });
+
+    it('keeps closing quotes and brackets with the sentence', () => {
+        assert.deepEqual(sentences('He said "Go." (Then he left.) She stayed.'),
+            [ 'He said "Go."', '(Then he left.)', 'She stayed.' ]);
+    });
+
+    it('does not split numbers, initials and abbreviations', () => {
+        assert.deepEqual(sentences('J. R. R. Tolkien wrote approx. five books in 3.5 decades. Really.'),
+            [ 'J. R. R. Tolkien wrote approx. five books in 3.5 decades.', 'Really.' ]);
+    });
+
+    it('splits at CJK full stops without whitespace', () => {
+        assert.deepEqual(sentences('東京は日本の首都である。人口は多い。', 'ja'),
+            [ '東京は日本の首都である。', '人口は多い。' ]);
+        assert.deepEqual(sentences('他说：「你好！」然后走了。', 'zh-hans'),
+            [ '他说：「你好！」', '然后走了。' ]);
+    });
+
+    it('splits at the Devanagari danda', () => {
+        assert.deepEqual(sentences('भारत एक देश है। यह बड़ा है।', 'hi'),
+            [ 'भारत एक देश है।', 'यह बड़ा है।' ]);
+    });
+
+    it('splits Thai sentences at spaces', () => {
+        assert.deepEqual(sentences('กรุงเทพเป็นเมืองหลวง มีประชากรมาก', 'th'),
+            [ 'กรุงเทพเป็นเมืองหลวง', 'มีประชากรมาก' ]);
+    });
+
+    it('treats the remaining text as the last sentence', () => {
+        assert.deepEqual(sentences('One. Two without end  '), [ 'One.', 'Two without end' ]);
+        assert.deepEqual(sentences(''), []);
+    });
+});
@@ -0,0 +1,52 @@
+'use strict';
+
+const domino = require('domino');
+const fs = require('fs');
+const path = require('path');
+const assert = require('../../../utils/assert');
+const stripPronunciations = require('../../../../lib/transforms').stripPronunciations;
+const isStripped = stripPronunciations.testing.isStripped;
+const getRules = stripPronunciations.testing.getRules;
+
+const FIXTURES = path.join(__dirname, 'pronunciation');
+
+describe('lib:stripPronunciations', () => {
+    fs.readdirSync(FIXTURES).forEach((file) => {
+        const lang = path.basename(file, '.json');
+        describe(lang, () => {
+            require(path.join(FIXTURES, file)).forEach((fixture) => {
+                it(fixture.source, () => {
+                    const doc = domino.createDocument(fixture.input);
+                    stripPronunciations(doc, { lang });
+                    assert.deepEqual(doc.body.innerHTML, fixture.expected);
+                });
+            });
+        });
+    });
+
+    it('applies the rules for all languages without a language', () => {
+        const doc = domino.createDocument(
+            '<p><b>Foo</b> (<span class="IPA">/fuː/</span>) is (東京) a bar.</p>');
+        stripPronunciations(doc);
+        assert.deepEqual(doc.body.innerHTML, '<p><b>Foo</b> is (東京) a bar.</p>');
+    });
+
+    it('uses the rules of the base language for variants', () => {
+        assert.deepEqual(getRules('zh-hant').parentheticals, getRules('zh').parentheticals);
+    });
+
+    it('keeps parentheticals with other content', () => {
+        const rules = getRules('en').parentheticals;
+        assert.ok(!isStripped('born 12 May 1950', rules));
+        assert.ok(!isStripped('Japanese: 東京; born 1950', rules));
+        assert.ok(isStripped('; Japanese: 東京, Tōkyō, ', rules));
+    });
+
+    it('only strips English parentheticals labelled with a language or script', () => {
+        const rules = getRules('en').parentheticals;
+        assert.ok(isStripped('Ancient Greek: Ἀθῆναι', rules));
+        assert.ok(isStripped('Simplified Chinese: 北京; Pinyin: Běijīng', rules));
+        assert.ok(!isStripped('Population: 1.2 million', rules));
+        assert.ok(!isStripped('Formerly Known: Foo', rules));
+    });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const assert = require('../../../utils/assert');
+const truncateSummary = require('../../../../lib/transforms').truncateSummary;
+
+describe('lib:truncateSummary', () => {
+    const extracts = {
+        extract: 'The cat is a small carnivore. It is often kept as a pet. Cats purr.',
+        extract_html: '<p>The <b>cat</b> is a small carnivore. It is <i>often kept as a pet</i>. Cats purr.</p>'
+    };
+
+    function test(options, expected, lang) {
+        return truncateSummary(extracts, options, lang)
+        .then((result) => {
+            assert.deepEqual(result.extract_html, expected);
+            assert.deepEqual(result.extract, result.extract_html.replace(/<[^>]+>/g, ''));
+        });
+    }
+
+    it('keeps the requested number of sentences', () => {
+        return test({ sentences: 2 },
+            '<p>The <b>cat</b> is a small carnivore. It is <i>often kept as a pet</i>.</p>');
+    });
+
+    it('keeps all sentences which fit in the requested number of characters', () => {
+        return test({ chars: 40 }, '<p>The <b>cat</b> is a small carnivore.</p>');
+    });
+
+    it('applies the stricter of both limits', () => {
+        return test({ sentences: 1, chars: 1000 }, '<p>The <b>cat</b> is a small carnivore.</p>');
+    });
+
+    it('cuts long first sentences at a word boundary', () => {
+        return test({ chars: 11 }, '<p>The <b>cat</b> is…</p>');
+    });
+
+    it('leaves short extracts as they are', () => {
+        return test({ sentences: 5 }, extracts.extract_html);
+    });
+});